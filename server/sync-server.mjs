@@ -0,0 +1,122 @@
+// logpad reference sync server — a single append-only event log over HTTP.
+//
+//   node server/sync-server.mjs                 # listens on :8787, log in ./logpad-sync.jsonl
+//   PORT=9000 LOGPAD_SYNC_FILE=/data/log.jsonl node server/sync-server.mjs
+//
+// Protocol
+//   POST /events   { events: [...] }      -> { seqs: [...] }   one seq per event, in order
+//   GET  /events?after=<seq>&limit=<n>    -> { events: [...], cursor, more }
+//
+// Events are opaque JSON objects except for their content, which is used to
+// drop duplicates: an event identical to one already stored (ignoring the
+// sending device) gets the existing seq back instead of being appended again.
+// No dependencies; needs Node 18+.
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+const PORT = Number(process.env.PORT ?? 8787);
+const FILE = process.env.LOGPAD_SYNC_FILE ?? 'logpad-sync.jsonl';
+const MAX_BODY = 20 * 1024 * 1024;
+const MAX_LIMIT = 2000;
+
+// ---------------------------------------------------------------------------
+// Log storage — kept in memory, persisted one JSON line per event
+// ---------------------------------------------------------------------------
+const log = [];
+const seqByKey = new Map();
+
+function contentKey(event) {
+  const { seq, device, ...content } = event;
+  return JSON.stringify(Object.fromEntries(Object.entries(content).sort(([a], [b]) => (a < b ? -1 : 1))));
+}
+
+if (fs.existsSync(FILE)) {
+  for (const line of fs.readFileSync(FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    const event = JSON.parse(line);
+    log.push(event);
+    seqByKey.set(contentKey(event), event.seq);
+  }
+}
+
+function append(events) {
+  const lines = [];
+  const seqs = events.map(e => {
+    const key = contentKey(e);
+    const existing = seqByKey.get(key);
+    if (existing !== undefined) return existing;
+    const event = { ...e, seq: log.length + 1 };
+    log.push(event);
+    seqByKey.set(key, event.seq);
+    lines.push(JSON.stringify(event) + '\n');
+    return event.seq;
+  });
+  if (lines.length > 0) fs.appendFileSync(FILE, lines.join(''));
+  return seqs;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (url.pathname !== '/events') return send(res, 404, { error: 'Not found' });
+
+  if (req.method === 'GET') {
+    const after = Math.max(0, Number(url.searchParams.get('after')) || 0);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(url.searchParams.get('limit')) || 500));
+    const events = log.slice(after, after + limit);
+    const cursor = events.length ? events[events.length - 1].seq : after;
+    return send(res, 200, { events, cursor, more: cursor < log.length });
+  }
+
+  if (req.method === 'POST') {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (e) {
+      return send(res, 400, { error: e.message });
+    }
+    const events = body?.events;
+    if (!Array.isArray(events) || events.some(e => !e || typeof e !== 'object' || Array.isArray(e))) {
+      return send(res, 400, { error: 'Expected { events: [object, ...] }' });
+    }
+    return send(res, 200, { seqs: append(events) });
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`logpad sync server on http://localhost:${PORT}/events (${log.length} events in ${FILE})`);
+});
@@ -1,15 +1,16 @@
 // ---------------------------------------------------------------------------
-// Imports — CDN only, no build step
+// Imports — CDN modules and our own, no build step
 // ---------------------------------------------------------------------------
 import { h, render } from 'https://esm.sh/preact@10.25.4';
 import { useState, useEffect, useRef, useCallback } from 'https://esm.sh/preact@10.25.4/hooks';
 import { signal, computed, effect, batch } from 'https://esm.sh/@preact/signals@1.3.2?deps=preact@10.25.4';
 import htm from 'https://esm.sh/htm@3.1.1';
-import { Editor, rootCtx, defaultValueCtx } from 'https://esm.sh/@milkdown/kit@7.18.0/core';
+import { Editor, rootCtx, defaultValueCtx, editorViewOptionsCtx } from 'https://esm.sh/@milkdown/kit@7.18.0/core';
 import { commonmark } from 'https://esm.sh/@milkdown/kit@7.18.0/preset/commonmark';
 import { nord } from 'https://esm.sh/@milkdown/theme-nord@7.18.0';
 import { listener, listenerCtx } from 'https://esm.sh/@milkdown/kit@7.18.0/plugin/listener';
 import { getMarkdown } from 'https://esm.sh/@milkdown/kit@7.18.0/utils';
+import { FILTER_OPS, FILTER_EMPTY_OPS } from './filters.js';
 
 const html = htm.bind(h);
 
@@ -30,18 +31,40 @@ function call(type, payload = {}) {
 
 worker.onmessage = ({ data }) => {
   if (data.type === 'ready') {
+    _workerTabId = data.tab_id;
     workerReady.value = true;
     refresh();
+    API.getSyncStatus().then(s => { syncStatus.value = s; }).catch(err => toast(err.message));
+    API.getProfile().then(p => { profile.value = p; }).catch(err => toast(err.message));
     return;
   }
   if (data.type === 'error') {
     loadError.value = 'Failed to load database: ' + data.message;
     return;
   }
+  if (data.type === 'busy') {
+    dbBusy.value = data.waiting;
+    return;
+  }
+  if (data.type === 'sync') {
+    syncStatus.value = data.status;
+    return;
+  }
+  if (data.type === 'change') {
+    queueChange(data.change, 'sync');
+    return;
+  }
+  if (data.type === 'compaction') {
+    toast(`Automatic compaction failed: ${data.last_error}`);
+    return;
+  }
   const p = _pending.get(data.id);
   if (!p) return;
   _pending.delete(data.id);
-  data.error ? p.reject(new Error(data.error)) : p.resolve(data.result);
+  if (data.error) { p.reject(new Error(data.error)); return; }
+  // A write resolves once the page shows what it changed
+  if (data.change) queueChange(data.change, 'local').then(() => p.resolve(data.result));
+  else p.resolve(data.result);
 };
 
 worker.onerror = (e) => {
@@ -53,23 +76,56 @@ worker.onerror = (e) => {
 // ---------------------------------------------------------------------------
 const workerReady  = signal(false);
 const loadError    = signal(null);
+const dbBusy       = signal(false);  // a call has been waiting on the database for a while
 
 const tables       = signal([]);
 const activeTableId = signal(null);
 const columns      = signal([]);
-const rows         = signal([]);
+const rows         = signal([]);  // the loaded slice of the table, see rowsOffset
+const rowsOffset   = signal(0);   // position of rows[0] among all rows that match
+const rowCounts    = signal({ total: 0, matched: 0 });  // rows in the table / matching sort, filter and search
 const foreignKeys  = signal([]);
 const fkOptionsMap = signal({});  // { col_id -> [{row_id, label}] }
+const uniqueConstraints = signal([]);  // [{ id, column_ids, column_names }] unique across several columns
 const activeRowId  = signal(null);
+const syncStatus   = signal(null);  // last status pushed by the worker after a sync round
+const profile      = signal(null);  // { name, initials } written as the author of new events
 
 // ---------------------------------------------------------------------------
 // View State — signals
 // ---------------------------------------------------------------------------
-const sortState    = signal({ colName: null, dir: 'asc' });  // { colName, dir }
+const sortState    = signal([]);  // [{ column_id, dir }], first key sorts first
 const searchQuery  = signal('');
 
+// Column layout: hidden column ids, display order override and widths in px
+const hiddenCols   = signal([]);
+const colOrder     = signal([]);  // column ids; columns not listed follow in their own order
+const colWidths    = signal({});  // { col_id -> px }
+const columnsOpen  = signal(false);
+
+// Saved views of the active table, and the one whose settings were last applied
+const views        = signal([]);
+const activeViewId = signal(null);
+
+// Column filters: the spec being edited; the worker applies its complete
+// conditions when fetching rows
+const filterState   = signal(null);  // null | { match: 'all'|'any', groups: [{ match, conditions: [{ column_id, op, value }] }] }
+const filterOpen    = signal(false);
+
+// Rows shown even when they don't match the filter or search, such as one
+// just added; cleared whenever the rows are fetched from the top again
+const keptRowIds    = signal([]);
+
+// Measured height of a table row in px, used to size the space standing in
+// for rows outside the loaded slice
+const rowHeight     = signal(37);
+
+// Time travel: null shows live data, otherwise a DB timestamp (UTC, no 'Z')
+// and the table renders read-only as it looked at that instant
+const asOf         = signal(null);
+
 // Modal state
-const modalState   = signal(null);  // null | { type: 'cols'|'rels'|'confirm'|'prompt'|'general-confirm', ...data }
+const modalState   = signal(null);  // null | { type: 'cols'|'rels'|'confirm'|'trash'|'schema-history'|'import'|'export'|'restore'|'sync'|'profile'|'activity'|'views'|'new-row'|'prompt'|'general-confirm', ...data }
 
 // Sidebar inline rename state
 const renamingSidebar = signal(null);  // null | tableId
@@ -80,6 +136,13 @@ const renamingCol     = signal(null);  // null | colId
 // Expanded markdown row (accordion — one at a time)
 const expandedRowId   = signal(null);  // null | rowId
 
+// Bumped after undo/redo so open markdown editors remount with the restored text
+const editorRevision  = signal(0);
+
+// Bumped after a full change, such as a restore or compaction that replaced
+// or removed events, so lists paged by event id start over
+const logRevision     = signal(0);
+
 // Pending tab navigation: set before save+refresh, consumed after render
 let _pendingTabNav = null;
 
@@ -90,27 +153,33 @@ const activeTable = computed(() =>
   tables.value.find(t => t.id === activeTableId.value) ?? null
 );
 
-const sortedFilteredRows = computed(() => {
-  let r = rows.value;
-  const q = searchQuery.value.toLowerCase().trim();
-  if (q) {
-    r = r.filter(row =>
-      Object.values(row.cells).some(v =>
-        v != null && String(v).toLowerCase().includes(q)
-      )
-    );
-  }
-  const { colName, dir } = sortState.value;
-  if (!colName) return r;
-  return [...r].sort((a, b) => {
-    const av = (a.cells[colName] ?? '').toString().toLowerCase();
-    const bv = (b.cells[colName] ?? '').toString().toLowerCase();
-    if (av < bv) return dir === 'asc' ? -1 : 1;
-    if (av > bv) return dir === 'asc' ? 1 : -1;
-    return 0;
-  });
+// Columns in view order, without the hidden ones
+const viewColumns = computed(() => {
+  const order = colOrder.value;
+  const hidden = new Set(hiddenCols.value);
+  const rank = (c) => { const i = order.indexOf(c.id); return i === -1 ? order.length : i; };
+  return [...columns.value].sort((a, b) => rank(a) - rank(b)).filter(c => !hidden.has(c.id));
 });
 
+const activeView = computed(() =>
+  views.value.find(v => v.id === activeViewId.value) ?? null
+);
+
+// Same key order as the worker stores, so the JSON of both compares equal
+function currentViewConfig() {
+  return {
+    sort: sortState.value,
+    filter: filterState.value,
+    hidden: hiddenCols.value,
+    order: colOrder.value,
+    widths: colWidths.value,
+  };
+}
+
+const viewDirty = computed(() =>
+  activeView.value !== null && JSON.stringify(currentViewConfig()) !== JSON.stringify(activeView.value.config)
+);
+
 // ---------------------------------------------------------------------------
 // API object
 // ---------------------------------------------------------------------------
@@ -119,22 +188,58 @@ const API = {
   addTable:         (name)                         => call('create_table',       { name }),
   renameTable:      (id, name)                     => call('rename_table',       { id, name }),
   deleteTable:      (id)                           => call('delete_table',       { id }),
-  getColumns:       ()                             => call('get_columns',        { table_id: activeTableId.value }),
+  getColumns:       ()                             => call('get_columns',        { table_id: activeTableId.value, as_of: asOf.value }),
   addColumn:        (name, is_unique, col_type, col_choices) =>
                                                       call('create_column',      { table_id: activeTableId.value, name, is_unique, col_type, col_choices }),
   renameColumn:     (id, name)                     => call('rename_column',      { id, name }),
   setColumnUnique:  (id, is_unique)                => call('set_column_unique',  { id, is_unique }),
+  setColumnConstraints: (id, constraints)          => call('set_column_constraints', { id, ...constraints }),
   setColumnType:    (id, col_type, col_choices)    => call('set_column_type',    { id, col_type, col_choices }),
+  previewColumnType: (id, col_type, col_choices)   => call('preview_column_type', { id, col_type, col_choices }),
+  convertColumnType: (id, col_type, col_choices, invalid) =>
+                                                      call('convert_column_type', { id, col_type, col_choices, invalid }),
   deleteColumn:     (id)                           => call('delete_column',      { id }),
-  getRows:          ()                             => call('get_rows',           { table_id: activeTableId.value }),
+  getRowPage:       (query)                        => call('get_row_page',       { table_id: activeTableId.value, as_of: asOf.value, ...query }),
+  getRowsById:      (rowIds)                       => call('get_rows',           { table_id: activeTableId.value, row_ids: rowIds }),
   addRow:           (cells)                        => call('create_row',         { table_id: activeTableId.value, cells }),
+  importRows:       (rows, atomic)                 => call('import_rows',        { table_id: activeTableId.value, rows, atomic }),
+  batch:            (ops, label)                   => call('batch',              { ops, label }),
   updateRow:        (rowId, cells)                 => call('update_row',         { table_id: activeTableId.value, row_id: rowId, cells }),
+  updateRowIn:      (table_id, rowId, cells)       => call('update_row',         { table_id, row_id: rowId, cells }),
   deleteRow:        (rowId)                        => call('delete_row',         { table_id: activeTableId.value, row_id: rowId }),
+  getDeletedRows:   ()                             => call('get_deleted_rows',   { table_id: activeTableId.value }),
+  restoreRow:       (rowId)                        => call('restore_row',        { table_id: activeTableId.value, row_id: rowId }),
+  revertRow:        (rowId, eventId)               => call('revert_row',         { table_id: activeTableId.value, row_id: rowId, event_id: eventId }),
   getHistory:       (rowId)                        => call('get_row_history',    { table_id: activeTableId.value, row_id: rowId }),
+  getActivity:      (filters)                      => call('get_activity',       filters),
   getForeignKeys:   ()                             => call('get_foreign_keys',   { table_id: activeTableId.value }),
   addForeignKey:    (from_column_id, to_table_id)  => call('create_foreign_key', { from_column_id, to_table_id }),
   deleteForeignKey: (id)                           => call('delete_foreign_key', { id }),
-  getFkOptions:     (column_id)                    => call('get_fk_options',     { column_id }),
+  getFkOptions:     (column_id)                    => call('get_fk_options',     { column_id, as_of: asOf.value }),
+  getChangedRows:   (events)                       => call('get_changed_rows',   { events }),
+  getUniqueConstraints: ()                         => call('get_unique_constraints', { table_id: activeTableId.value }),
+  previewUniqueConstraint: (column_ids)            => call('preview_unique_constraint', { table_id: activeTableId.value, column_ids }),
+  addUniqueConstraint: (column_ids)                => call('create_unique_constraint', { table_id: activeTableId.value, column_ids }),
+  deleteUniqueConstraint: (id)                     => call('delete_unique_constraint', { id }),
+  getSchemaHistory: ()                             => call('get_schema_history', { table_id: activeTableId.value }),
+  getViews:         ()                             => call('get_views',          { table_id: activeTableId.value }),
+  saveView:         (id, name, config)             => call('save_view',          { table_id: activeTableId.value, id, name, config }),
+  deleteView:       (id)                           => call('delete_view',        { id }),
+  setDefaultView:   (id)                           => call('set_default_view',   { table_id: activeTableId.value, id }),
+  exportTable:      (resolve_fk, include_deleted)  => call('export_table',       { table_id: activeTableId.value, resolve_fk, include_deleted }),
+  exportBackup:     ()                             => call('export_backup'),
+  restoreBackup:    (backup, mode)                 => call('restore_backup',     { backup, mode }),
+  rebuildCurrentState: ()                          => call('rebuild_current_state'),
+  getStorageReport: ()                             => call('get_storage_report'),
+  setCompactionSettings: (settings)                => call('set_compaction_settings', settings),
+  compactLog:       ()                             => call('compact_log'),
+  getProfile:       ()                             => call('get_profile'),
+  setProfile:       (name, initials)               => call('set_profile',        { name, initials }),
+  getSyncStatus:    ()                             => call('get_sync_status'),
+  configureSync:    (url)                          => call('configure_sync',     { url }),
+  syncNow:          ()                             => call('sync_now'),
+  undo:             ()                             => call('undo'),
+  redo:             ()                             => call('redo'),
 };
 
 // ---------------------------------------------------------------------------
@@ -185,16 +290,25 @@ async function refresh() {
     batch(() => {
       columns.value     = [];
       rows.value        = [];
+      rowsOffset.value  = 0;
+      rowCounts.value   = { total: 0, matched: 0 };
       foreignKeys.value = [];
       fkOptionsMap.value = {};
+      uniqueConstraints.value = [];
+      views.value       = [];
+      activeViewId.value = null;
     });
+    _viewsTableId = null;
     return;
   }
 
-  const [cols, rws, fks] = await Promise.all([
+  // A table opened for the first time starts in its default view
+  if (tid !== _viewsTableId) await loadViews(true);
+
+  const [cols, fks, uniques] = await Promise.all([
     API.getColumns(),
-    API.getRows(),
     API.getForeignKeys(),
+    API.getUniqueConstraints(),
   ]);
 
   const fkColIds = fks.map(fk => fk.from_column_id);
@@ -202,21 +316,395 @@ async function refresh() {
   const fkMap = {};
   fkColIds.forEach((id, i) => { fkMap[id] = fkOptResults[i]; });
 
+  // Fetched against the new columns so rows and headers change together
+  const page = await fetchRowPage(rowsOffset.value, {}, cols);
+
   batch(() => {
     columns.value     = cols;
-    rows.value        = rws;
     foreignKeys.value = fks;
     fkOptionsMap.value = fkMap;
+    uniqueConstraints.value = uniques;
+    if (page) setRowPage(page);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Change feed — writes come back with what they appended, and other tabs'
+// workers announce theirs; either way only the touched rows are patched in
+// ---------------------------------------------------------------------------
+let _workerTabId = null;
+let _changeQueue = Promise.resolve();
+
+// Changes apply one at a time, in the order they arrived
+function queueChange(change, origin) {
+  _changeQueue = _changeQueue
+    .then(() => applyChange(change, origin))
+    .catch(err => toast(err.message));
+  return _changeQueue;
+}
+
+if (typeof BroadcastChannel !== 'undefined') {
+  new BroadcastChannel('logpad-changes').onmessage = ({ data }) => {
+    if (!workerReady.value || data.source === _workerTabId) return;
+    queueChange(data, 'tab');
+  };
+}
+
+// Replaces entries of a row-keyed list whose row was touched with the fresh
+// version, drops the ones that are gone and appends new ones at the end
+function patchByRowId(list, touched, fresh) {
+  const freshById = new Map(fresh.map(r => [r.row_id, r]));
+  const next = list
+    .filter(r => !touched.has(r.row_id) || freshById.has(r.row_id))
+    .map(r => freshById.get(r.row_id) ?? r);
+  const known = new Set(next.map(r => r.row_id));
+  for (const r of fresh) if (!known.has(r.row_id)) next.push(r);
+  return next;
+}
+
+// origin is 'local' for this page's own writes, which bring their rows and
+// handle open panels themselves, 'tab' or 'sync' for edits made elsewhere
+async function applyChange({ full, events, schema_table_ids, rows: changedRows, options }, origin) {
+  if (full) logRevision.value++;
+  // A historical view doesn't move; the next live refresh picks everything up
+  if (asOf.value !== null) return;
+  const local = origin === 'local';
+  const tid = activeTableId.value;
+  const openRowId = activeRowId.value;
+  const expanded = expandedRowId.value;
+
+  if (full || schema_table_ids.length > 0) {
+    await refresh();
+    if (local) return;
+    const open = [openRowId, expanded].filter(Boolean);
+    const live = new Set(open.length > 0 ? (await API.getRowsById(open)).map(r => r.row_id) : []);
+    closeRowsDeletedElsewhere(openRowId, expanded, new Set(open.filter(id => !live.has(id))), origin);
+    if (activeRowId.value) await loadHistoryData(activeRowId.value);
+    editorRevision.value++;
+    return;
+  }
+
+  const touchedByTable = new Map();
+  for (const e of events) {
+    if (!touchedByTable.has(e.table_id)) touchedByTable.set(e.table_id, new Set());
+    touchedByTable.get(e.table_id).add(e.row_id);
+  }
+  const touched = touchedByTable.get(tid) ?? new Set();
+  const fkDefs = foreignKeys.value.filter(fk => touchedByTable.has(fk.to_table_id));
+  if (touched.size === 0 && fkDefs.length === 0) return;
+
+  const fresh = changedRows ? { rows: changedRows, options } : await API.getChangedRows(events);
+  if (activeTableId.value !== tid) return;
+
+  const mdCols = columns.value.filter(c => c.col_type === 'markdown').map(c => c.name);
+  const prevExpanded = rows.value.find(r => r.row_id === expanded);
+  const freshRows = fresh.rows[tid] ?? [];
+  const freshIds = new Set(freshRows.map(r => r.row_id));
+  const gone = new Set([...touched].filter(id => !freshIds.has(id)));
+  // Rows that come, go or may move under the sort or filter shift the whole
+  // window and the counts; plain edits of rows on screen are patched in place
+  const loaded = new Set(rows.value.map(r => r.row_id));
+  const reshaped = touched.size > 0 && (
+    gone.size > 0 || [...touched].some(id => !loaded.has(id)) ||
+    sortState.value.length > 0 || rowsNarrowed()
+  );
+  if (reshaped) await loadRows();
+  batch(() => {
+    if (touched.size > 0 && !reshaped) rows.value = patchByRowId(rows.value, touched, freshRows);
+    if (fkDefs.length > 0) {
+      const fkMap = { ...fkOptionsMap.value };
+      for (const fk of fkDefs) {
+        fkMap[fk.from_column_id] = patchByRowId(
+          fkMap[fk.from_column_id] || [], touchedByTable.get(fk.to_table_id), fresh.options[fk.to_table_id] ?? []
+        );
+      }
+      fkOptionsMap.value = fkMap;
+    }
   });
+
+  if (local) return;
+  closeRowsDeletedElsewhere(openRowId, expanded, gone, origin);
+  if (activeRowId.value && touched.has(activeRowId.value)) await loadHistoryData(activeRowId.value);
+  // Remount an open markdown editor only when its text actually changed
+  const nowExpanded = rows.value.find(r => r.row_id === expandedRowId.value);
+  if (prevExpanded && nowExpanded && mdCols.some(c => (prevExpanded.cells[c] ?? '') !== (nowExpanded.cells[c] ?? ''))) {
+    editorRevision.value++;
+  }
+}
+
+function closeRowsDeletedElsewhere(openRowId, expanded, gone, origin) {
+  let closed = false;
+  if (openRowId && activeRowId.value === openRowId && gone.has(openRowId)) {
+    activeRowId.value = null;
+    closed = true;
+  }
+  if (expanded && expandedRowId.value === expanded && gone.has(expanded)) {
+    expandedRowId.value = null;
+    closed = true;
+  }
+  if (closed) toast(`The row you had open was deleted ${origin === 'sync' ? 'on another device' : 'in another tab'}`);
 }
 
 async function switchTable(tableId) {
   if (activeTableId.value === tableId) return;
-  activeRowId.value = null;
-  activeTableId.value = tableId;
+  batch(() => {
+    activeRowId.value = null;
+    activeTableId.value = tableId;
+    filterState.value = null;
+    rowsOffset.value = 0;
+    keptRowIds.value = [];
+  });
+  const panel = document.getElementById('table-panel');
+  if (panel) panel.scrollTop = 0;
   await refresh();
 }
 
+// ---------------------------------------------------------------------------
+// Column filters — conditions are turned into SQL and applied by the worker
+// ---------------------------------------------------------------------------
+const FILTER_OP_LABELS = {
+  contains: 'contains', not_contains: 'does not contain', equals: 'is', not_equals: 'is not',
+  starts_with: 'starts with', ends_with: 'ends with',
+  eq: '=', neq: '≠', lt: '<', lte: '≤', gt: '>', gte: '≥', between: 'between',
+  is_true: 'is checked', is_false: 'is not checked',
+  on: 'is on', before: 'is before', after: 'is after',
+  any_of: 'is one of', none_of: 'is none of',
+  points_to: 'is', not_points_to: 'is not',
+  is_empty: 'is empty', is_not_empty: 'is not empty',
+};
+const FILTER_NO_VALUE = ['is_empty', 'is_not_empty', 'is_true', 'is_false'];
+
+function filterKind(col) {
+  const isFk = foreignKeys.value.some(fk => fk.from_column_id === col.id);
+  return isFk ? 'fk' : (col.col_type || 'text');
+}
+
+function conditionComplete(cond, cols = columns.value) {
+  if (!cols.some(c => c.id === cond.column_id)) return false;
+  if (FILTER_NO_VALUE.includes(cond.op)) return true;
+  if (cond.op === 'between') return Array.isArray(cond.value) && cond.value.every(v => v !== '' && v != null);
+  if (Array.isArray(cond.value)) return cond.value.length > 0;
+  return cond.value !== '' && cond.value != null;
+}
+
+// The part of the spec that can be evaluated; null when nothing is complete
+function activeFilter(spec, cols = columns.value) {
+  if (!spec) return null;
+  const groups = spec.groups
+    .map(g => ({ match: g.match, conditions: g.conditions.filter(c => conditionComplete(c, cols)) }))
+    .filter(g => g.conditions.length > 0);
+  return groups.length ? { match: spec.match, groups } : null;
+}
+
+function setFilter(spec) {
+  filterState.value = spec;
+  scheduleRowsReload();
+}
+
+// ---------------------------------------------------------------------------
+// Row window — the worker sorts, filters and searches the whole table and
+// sends one slice; the table renders that slice and stands in empty space
+// for the rows above and below it
+// ---------------------------------------------------------------------------
+const PAGE_ROWS   = 200;  // rows per slice
+const PAGE_MARGIN = 40;   // fetch the next slice when the view gets this close to an edge
+let _rowsSeq = 0;
+let _rowsTimer = null;
+
+// What the rows are fetched with; filter conditions still being filled in,
+// or on columns that are gone, are left out
+function rowQuery(cols = columns.value) {
+  return {
+    sort: sortState.value,
+    filter: activeFilter(filterState.value, cols),
+    search: searchQuery.value.trim(),
+    keep_row_ids: keptRowIds.value,
+  };
+}
+
+// Whether a filter or search hides some rows
+function rowsNarrowed() {
+  const { filter, search } = rowQuery();
+  return filter !== null || search !== '';
+}
+
+// Resolves to null when a later fetch superseded this one or it failed
+async function fetchRowPage(offset, extra = {}, cols = columns.value) {
+  const seq = ++_rowsSeq;
+  try {
+    const page = await API.getRowPage({ ...rowQuery(cols), offset, limit: PAGE_ROWS, ...extra });
+    return seq === _rowsSeq ? page : null;
+  } catch (err) {
+    if (seq === _rowsSeq) toast(err.message);
+    return null;
+  }
+}
+
+function setRowPage(page) {
+  batch(() => {
+    rows.value = page.rows;
+    rowsOffset.value = page.offset;
+    rowCounts.value = { total: page.total, matched: page.matched };
+  });
+}
+
+async function loadRows(offset = rowsOffset.value, extra = {}) {
+  if (activeTableId.value === null) return null;
+  const page = await fetchRowPage(offset, extra);
+  if (page) setRowPage(page);
+  return page;
+}
+
+// After the sort, filter or search changed: back to the first row
+async function reloadRows() {
+  clearTimeout(_rowsTimer);
+  keptRowIds.value = [];
+  const panel = document.getElementById('table-panel');
+  if (panel) panel.scrollTop = 0;
+  await loadRows(0);
+}
+
+function scheduleRowsReload() {
+  clearTimeout(_rowsTimer);
+  _rowsTimer = setTimeout(reloadRows, 250);
+}
+
+function setSearch(q) {
+  searchQuery.value = q;
+  scheduleRowsReload();
+}
+
+// Top of the table body within the scrolling panel, in px
+function tableBodyTop(panel) {
+  const tbody = panel.querySelector('#main-table tbody');
+  if (!tbody) return null;
+  return tbody.getBoundingClientRect().top - panel.getBoundingClientRect().top + panel.scrollTop;
+}
+
+// Moves the slice along when scrolling gets near one of its ends. One fetch
+// at a time; scrolling meanwhile is looked at again once it lands.
+let _windowBusy = false;
+let _windowAgain = false;
+async function followScroll() {
+  if (_windowBusy) { _windowAgain = true; return; }
+  const panel = document.getElementById('table-panel');
+  const top = panel && tableBodyTop(panel);
+  if (top === null || top === undefined) return;
+  const h = rowHeight.value;
+  const first = Math.max(0, Math.floor((panel.scrollTop - top) / h));
+  const last = first + Math.ceil(panel.clientHeight / h);
+  const start = rowsOffset.value;
+  const end = start + rows.value.length;
+  const nearStart = start > 0 && first < start + PAGE_MARGIN;
+  const nearEnd = end < rowCounts.value.matched && last > end - PAGE_MARGIN;
+  if (!nearStart && !nearEnd) return;
+  _windowBusy = true;
+  try {
+    await loadRows(Math.max(0, Math.round((first + last - PAGE_ROWS) / 2)));
+  } finally {
+    _windowBusy = false;
+  }
+  if (_windowAgain) {
+    _windowAgain = false;
+    followScroll();
+  }
+}
+
+// Loads the slice around a row and scrolls it into the middle of the view;
+// kept says whether it stays visible when it doesn't match
+async function revealRow(rowId, kept = false) {
+  if (kept) keptRowIds.value = [...keptRowIds.value, rowId];
+  const page = await loadRows(rowsOffset.value, { around_row_id: rowId });
+  if (!page || page.position === null) return false;
+  const panel = document.getElementById('table-panel');
+  await new Promise(requestAnimationFrame);
+  const top = panel && tableBodyTop(panel);
+  if (top !== null && top !== undefined) {
+    panel.scrollTop = top + page.position * rowHeight.value - panel.clientHeight / 2;
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Saved views — sort, filters and column layout stored per table
+// ---------------------------------------------------------------------------
+let _viewsTableId = null;  // table whose views are in `views`
+
+async function loadViews(applyDefault = false) {
+  const tid = activeTableId.value;
+  const list = await API.getViews();
+  _viewsTableId = tid;
+  views.value = list;
+  if (applyDefault) {
+    const def = list.find(v => v.is_default) ?? null;
+    activeViewId.value = def?.id ?? null;
+    setViewConfig(def?.config ?? null);
+  } else if (!list.some(v => v.id === activeViewId.value)) {
+    activeViewId.value = null;
+  }
+}
+
+// Puts a view's settings in place; null is the plain, unsaved layout
+function setViewConfig(config) {
+  clearTimeout(_rowsTimer);
+  batch(() => {
+    sortState.value   = config?.sort ?? [];
+    filterState.value = config?.filter ?? null;
+    hiddenCols.value  = config?.hidden ?? [];
+    colOrder.value    = config?.order ?? [];
+    colWidths.value   = config?.widths ?? {};
+  });
+}
+
+async function selectView(viewId) {
+  activeViewId.value = viewId;
+  setViewConfig(activeView.value?.config ?? null);
+  await reloadRows();
+}
+
+async function saveActiveView() {
+  const view = activeView.value;
+  if (!view) return;
+  try {
+    await API.saveView(view.id, view.name, currentViewConfig());
+    await loadViews();
+    toast(`View "${view.name}" saved`, 'success');
+  } catch (err) {
+    toast(err.message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Undo / redo — Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y), outside of text inputs
+// ---------------------------------------------------------------------------
+async function runUndo(kind) {
+  if (asOf.value !== null) return;
+  try {
+    const result = kind === 'redo' ? await API.redo() : await API.undo();
+    if (result.table_id !== activeTableId.value) {
+      activeRowId.value = null;
+      activeTableId.value = result.table_id;
+      await refresh();
+    }
+    editorRevision.value++;
+    if (activeRowId.value) await loadHistoryData(activeRowId.value);
+    toast(`${kind === 'redo' ? 'Redid' : 'Undid'} ${result.label}`, 'success');
+  } catch (err) {
+    toast(err.message);
+  }
+}
+
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key !== 'z' && key !== 'y') return;
+  // Leave native text undo alone while typing
+  const t = e.target;
+  if (t.closest && t.closest('input, textarea, select, [contenteditable]')) return;
+  e.preventDefault();
+  runUndo(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+});
+
 // ---------------------------------------------------------------------------
 // Helper: row label (first non-empty cell value, FK-resolved)
 // ---------------------------------------------------------------------------
@@ -248,11 +736,111 @@ function relativeTime(date) {
   return `${Math.round(hrs / 24)}d ago`;
 }
 
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// DB timestamps are UTC without a 'Z' — convert to/from <input type="datetime-local">
+function dbTimestampToLocalInput(ts) {
+  const d = new Date(ts + 'Z');
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function localInputToDbTimestamp(value) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  return d.toISOString().slice(0, 23);
+}
+
+async function setAsOf(ts) {
+  asOf.value = ts;
+  expandedRowId.value = null;
+  await refresh();
+}
+
 // ---------------------------------------------------------------------------
-// TYPE_LABELS — badges shown in column headers
+// TYPE_LABELS — badges shown in column headers; TYPE_OPTIONS — type pickers
 // ---------------------------------------------------------------------------
 const TYPE_LABELS = { number: '#', boolean: '✓', date: '📅', datetime: '🕐', url: '🔗', select: '▾', markdown: '📝' };
 
+const TYPE_OPTIONS = [
+  ['text','Text'],['number','Number'],['boolean','Checkbox'],
+  ['date','Date'],['datetime','Date & Time'],['url','URL'],['select','Select'],['markdown','Markdown']
+];
+
+// ---------------------------------------------------------------------------
+// CSV helpers
+// ---------------------------------------------------------------------------
+
+// RFC 4180-style parser: quoted fields, doubled quotes, CRLF/LF line breaks.
+// The delimiter is guessed from the first line (comma, semicolon or tab).
+function parseCsv(text) {
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delim = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delim) {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) { record.push(field); records.push(record); }
+  // Drop blank lines
+  return records.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Guess a col_type from sample values (empties ignored)
+function inferColType(values) {
+  const vals = values.map(v => (v ?? '').trim()).filter(Boolean);
+  if (vals.length === 0) return 'text';
+  const all = (re) => vals.every(v => re.test(v));
+  if (all(/^(true|false|yes|no)$/i)) return 'boolean';
+  if (vals.every(v => !isNaN(Number(v)))) return 'number';
+  if (all(/^\d{4}-\d{2}-\d{2}$/)) return 'date';
+  if (all(/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i)) return 'datetime';
+  if (all(/^https?:\/\/\S+$/i)) return 'url';
+  return 'text';
+}
+
+function toCsvField(value) {
+  const v = value == null ? '' : String(value);
+  return /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+}
+
+function serializeCsv(records) {
+  return records.map(r => r.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function normalizeImportValue(colType, value) {
+  const v = (value ?? '').trim();
+  if (colType === 'boolean' && v) return /^(1|true|yes|y|x)$/i.test(v) ? '1' : '0';
+  // A zone is kept: the worker turns such an instant into local wall-clock time
+  if (colType === 'datetime' && v) return v.replace(' ', 'T');
+  return v;
+}
+
 // ---------------------------------------------------------------------------
 // Component: SidebarRenameInput
 // ---------------------------------------------------------------------------
@@ -272,7 +860,6 @@ function SidebarRenameInput({ tableId, currentName, li }) {
     if (!newName || newName === currentName) return;
     try {
       await API.renameTable(tableId, newName);
-      await refresh();
       toast(`Table renamed to "${newName}"`, 'success');
     } catch (err) {
       toast(err.message);
@@ -327,13 +914,23 @@ function Sidebar() {
         activeRowId.value = null;
       }
       await API.deleteTable(id);
-      await refresh();
       toast(`Table "${name}" deleted`, 'success');
     } catch (err) {
       toast(err.message);
     }
   };
 
+  const handleBackup = async () => {
+    try {
+      const backup = await API.exportBackup();
+      const day = new Date().toISOString().slice(0, 10);
+      downloadFile(`logpad-backup-${day}.json`, JSON.stringify(backup), 'application/json');
+      toast('Backup downloaded', 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
   return html`
     <div id="table-sidebar">
       <div id="sidebar-header">Tables</div>
@@ -366,16 +963,44 @@ function Sidebar() {
       </ul>
       <div id="sidebar-footer">
         <button id="btn-new-table" onClick=${handleNewTable}>+ New Table</button>
+        <div id="sidebar-db-actions">
+          <button class="btn-sidebar-link" onClick=${handleBackup}>Download backup</button>
+          <button class="btn-sidebar-link" onClick=${() => { modalState.value = { type: 'restore' }; }}>Restore…</button>
+          <button class="btn-sidebar-link" onClick=${() => { modalState.value = { type: 'maintenance' }; }}>Maintenance…</button>
+        </div>
+        <button
+          id="btn-profile"
+          class="btn-sidebar-link"
+          title="Your name is recorded on every change you make"
+          onClick=${() => { modalState.value = { type: 'profile' }; }}
+        >
+          <span class="author-initials">${profile.value?.name ? profile.value.initials : '?'}</span>
+          ${profile.value?.name ?? 'Set your name'}
+        </button>
+        <button
+          id="btn-sync"
+          class="btn-sidebar-link"
+          title=${syncStatus.value?.last_error ?? ''}
+          onClick=${() => { modalState.value = { type: 'sync' }; }}
+        >
+          <span class=${'sync-dot ' + (!syncStatus.value?.url ? 'off' : syncStatus.value.last_error ? 'error' : 'ok')}></span>
+          ${syncStatus.value?.url ? 'Sync on' : 'Sync off'}
+        </button>
       </div>
     </div>
   `;
 }
 
 // ---------------------------------------------------------------------------
-// Component: ColHeader (sortable, inline rename)
+// Component: ColHeader (sortable, inline rename, resizable)
 // ---------------------------------------------------------------------------
+const MIN_COL_WIDTH = 60;
+let _suppressSortClick = false;  // the click that ends a resize drag is not a sort
+
 function ColHeader({ col, fkDef }) {
-  const { colName, dir } = sortState.value;
+  const sortKeys = sortState.value;
+  const sortIdx = sortKeys.findIndex(k => k.column_id === col.id);
+  const sortKey = sortKeys[sortIdx];
   const isRenamingThis = renamingCol.value === col.id;
   const inputRef = useRef(null);
 
@@ -386,20 +1011,55 @@ function ColHeader({ col, fkDef }) {
     }
   }, [isRenamingThis]);
 
-  const handleSort = () => {
-    if (renamingCol.value) return;
-    sortState.value = colName === col.name
-      ? { colName: col.name, dir: dir === 'asc' ? 'desc' : 'asc' }
-      : { colName: col.name, dir: 'asc' };
+  // Click sorts by this column alone; shift-click adds it as the next key,
+  // then flips it to descending, then drops it again
+  const handleSort = (e) => {
+    if (renamingCol.value || _suppressSortClick) return;
+    if (e.shiftKey) {
+      if (!sortKey) sortState.value = [...sortKeys, { column_id: col.id, dir: 'asc' }];
+      else if (sortKey.dir === 'asc') sortState.value = sortKeys.map(k => (k === sortKey ? { ...k, dir: 'desc' } : k));
+      else sortState.value = sortKeys.filter(k => k !== sortKey);
+    } else {
+      sortState.value = sortKeys.length === 1 && sortKey
+        ? [{ column_id: col.id, dir: sortKey.dir === 'asc' ? 'desc' : 'asc' }]
+        : [{ column_id: col.id, dir: 'asc' }];
+    }
+    reloadRows();
+  };
+
+  const startResize = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.offsetWidth;
+    const onMove = (ev) => {
+      _suppressSortClick = true;
+      const width = Math.max(MIN_COL_WIDTH, Math.round(startWidth + ev.clientX - startX));
+      colWidths.value = { ...colWidths.value, [col.id]: width };
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      setTimeout(() => { _suppressSortClick = false; }, 0);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const resetWidth = (e) => {
+    e.stopPropagation();
+    const { [col.id]: _, ...rest } = colWidths.value;
+    colWidths.value = rest;
   };
 
   const handleDblClick = (e) => {
     e.stopPropagation();
+    if (asOf.value !== null) return;
     renamingCol.value = col.id;
   };
 
   let sortClass = 'sortable';
-  if (colName === col.name) sortClass += dir === 'asc' ? ' sort-asc' : ' sort-desc';
+  if (sortKey) sortClass += sortKey.dir === 'asc' ? ' sort-asc' : ' sort-desc';
 
   if (isRenamingThis) {
     let saved = false;
@@ -410,11 +1070,9 @@ function ColHeader({ col, fkDef }) {
       if (!newName || newName === col.name) return;
       try {
         await API.renameColumn(col.id, newName);
-        await refresh();
         toast(`Column renamed to "${newName}"`, 'success');
       } catch (err) {
         toast(err.message);
-        await refresh();
       }
     };
     const onKey = (e) => {
@@ -437,16 +1095,21 @@ function ColHeader({ col, fkDef }) {
   return html`
     <th
       class=${sortClass}
+      title="Click to sort, Shift+click to add a sort key"
       onClick=${handleSort}
       onDblClick=${handleDblClick}
     >
       ${col.name}
+      ${sortKey && sortKeys.length > 1 ? html`<sup class="sort-rank">${sortIdx + 1}</sup>` : null}
       ${col.is_unique ? html`<span class="col-badge col-badge-u" title="Unique constraint">U</span>` : null}
+      ${col.is_required ? html`<span class="col-badge col-badge-req" title="Required">*</span>` : null}
       ${fkDef ? html`<span class="col-badge col-badge-fk" title=${'FK → ' + fkDef.to_table_name}>FK</span>` : null}
       ${!fkDef && colType !== 'text' && TYPE_LABELS[colType]
         ? html`<span class="col-type-badge" title=${colType}>${TYPE_LABELS[colType]}</span>`
         : null
       }
+      <span class="col-resize-handle" title="Drag to resize, double-click to reset" onMouseDown=${startResize}
+        onClick=${(e) => e.stopPropagation()} onDblClick=${resetWidth}></span>
     </th>
   `;
 }
@@ -494,6 +1157,7 @@ function MarkdownExpander({ row, mdCol, colCount }) {
   const rowId   = row.row_id;
   const colName = mdCol.name;
   const initialValue = row.cells[colName] ?? '';
+  const readOnly = asOf.value !== null;
 
   useEffect(() => {
     const el = containerRef.current;
@@ -505,15 +1169,16 @@ function MarkdownExpander({ row, mdCol, colCount }) {
       .config((ctx) => {
         ctx.set(rootCtx, el);
         ctx.set(defaultValueCtx, initialValue);
+        if (readOnly) {
+          ctx.update(editorViewOptionsCtx, (prev) => ({ ...prev, editable: () => false }));
+          return;
+        }
         ctx.get(listenerCtx).markdownUpdated((ctx, markdown) => {
           clearTimeout(saveTimerRef.current);
           saveTimerRef.current = setTimeout(async () => {
             try {
+              // The saved row is patched in without remounting the editor
               await API.updateRow(rowId, { [colName]: markdown });
-              // Don't call refresh() — it would destroy the editor mid-type
-              // Just silently update the in-memory row value
-              const r = rows.value.find(r => r.row_id === rowId);
-              if (r) r.cells[colName] = markdown;
             } catch (err) {
               toast(err.message);
             }
@@ -542,7 +1207,7 @@ function MarkdownExpander({ row, mdCol, colCount }) {
     };
   // Run only when the row/column identity changes — not on every render
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [rowId, colName]);
+  }, [rowId, colName, readOnly]);
 
   return html`
     <tr class="content-expander-row">
@@ -575,16 +1240,15 @@ function DataCell({ col, row, fkDef }) {
   }, []);
 
   const startEdit = useCallback(() => {
-    if (editing) return;
+    if (editing || asOf.value !== null) return;
 
     // Boolean: instant toggle
     if (!fkDef && colType === 'boolean') {
       const wasChecked = rawValue === '1' || rawValue === 'true';
       const newVal = wasChecked ? '0' : '1';
       API.updateRow(rowId, { [colName]: newVal })
-        .then(() => refresh())
         .then(() => { if (activeRowId.value === rowId) return loadHistoryData(rowId); })
-        .catch(err => { toast(err.message); refresh(); });
+        .catch(err => toast(err.message));
       return;
     }
 
@@ -670,19 +1334,12 @@ function EditingCell({ col, row, fkDef, rawValue, onDone, tdRef }) {
 
     if (newValue === rawValue) return;
 
-    // Validate number
-    if (colType === 'number' && newValue !== '' && isNaN(Number(newValue))) {
-      toast('Must be a valid number');
-      return;
-    }
-
+    // Values are checked against the column type in the worker
     try {
       await API.updateRow(rowId, { [colName]: newValue });
-      await refresh();
       if (activeRowId.value === rowId) await loadHistoryData(rowId);
     } catch (err) {
       toast(err.message);
-      await refresh();
     }
   }, [rawValue, colType, rowId, colName, onDone]);
 
@@ -845,12 +1502,14 @@ function DataRow({ row, colsList, fksList }) {
           class=${'btn-row-action' + (isActive ? ' active' : '')}
           onClick=${openHistoryForRow}
         >History</button>
-        <button class="btn-row-action danger" onClick=${confirmDelete}>Delete</button>
+        ${asOf.value === null
+          ? html`<button class="btn-row-action danger" onClick=${confirmDelete}>Delete</button>`
+          : null}
       </td>
     </tr>
     ${isExpanded && markdownCols.map(mdCol => html`
       <${MarkdownExpander}
-        key=${'expander-' + rowId + '-' + mdCol.id}
+        key=${'expander-' + rowId + '-' + mdCol.id + '-' + editorRevision.value}
         row=${row}
         mdCol=${mdCol}
         colCount=${visibleCols.length}
@@ -859,16 +1518,213 @@ function DataRow({ row, colsList, fksList }) {
   `;
 }
 
+// ---------------------------------------------------------------------------
+// Component: FilterBuilder — AND/OR groups of typed column conditions
+// ---------------------------------------------------------------------------
+function FilterValueInput({ col, cond, onChange }) {
+  const kind = filterKind(col);
+  if (FILTER_NO_VALUE.includes(cond.op)) return null;
+  if (kind === 'fk') {
+    const opts = fkOptionsMap.value[col.id] || [];
+    return html`
+      <select value=${cond.value ?? ''} onChange=${(e) => onChange(e.target.value)}>
+        <option value="">— row —</option>
+        ${opts.map(o => html`<option value=${o.row_id}>${o.label ?? o.row_id.slice(0, 8) + '…'}</option>`)}
+      </select>
+    `;
+  }
+  if (kind === 'select') {
+    const chosen = Array.isArray(cond.value) ? cond.value : [];
+    const choices = (col.col_choices || '').split(',').map(c => c.trim()).filter(Boolean);
+    const toggle = (c) => onChange(chosen.includes(c) ? chosen.filter(x => x !== c) : [...chosen, c]);
+    return html`
+      <span class="filter-choices">
+        ${choices.map(c => html`
+          <label><input type="checkbox" checked=${chosen.includes(c)} onChange=${() => toggle(c)} />${c}</label>
+        `)}
+      </span>
+    `;
+  }
+  const type = kind === 'number' ? 'number' : kind === 'date' ? 'date' : kind === 'datetime' ? 'datetime-local' : 'text';
+  if (cond.op === 'between') {
+    const [lo, hi] = Array.isArray(cond.value) ? cond.value : ['', ''];
+    return html`
+      <span class="filter-between">
+        <input type=${type} value=${lo} onInput=${(e) => onChange([e.target.value, hi])} />
+        and
+        <input type=${type} value=${hi} onInput=${(e) => onChange([lo, e.target.value])} />
+      </span>
+    `;
+  }
+  return html`<input type=${type} value=${cond.value ?? ''} onInput=${(e) => onChange(e.target.value)} />`;
+}
+
+function FilterBuilder() {
+  const cols = columns.value;
+  const spec = filterState.value ?? { match: 'all', groups: [] };
+
+  const newCondition = () => {
+    const col = cols[0];
+    return { column_id: col.id, op: FILTER_OPS[filterKind(col)][0], value: '' };
+  };
+  const update = (fn) => {
+    const next = { ...spec, groups: spec.groups.map(g => ({ ...g, conditions: [...g.conditions] })) };
+    fn(next);
+    setFilter(next.groups.length ? next : null);
+  };
+  const addGroup = () => update(s => { s.groups.push({ match: 'all', conditions: [newCondition()] }); });
+  const setCond = (gi, ci, patch) => update(s => {
+    const cond = { ...s.groups[gi].conditions[ci], ...patch };
+    if (patch.column_id !== undefined) {
+      const col = cols.find(c => c.id === patch.column_id);
+      cond.op = FILTER_OPS[filterKind(col)][0];
+      cond.value = '';
+    }
+    if (patch.op !== undefined) cond.value = patch.op === 'between' ? ['', ''] : '';
+    s.groups[gi].conditions[ci] = cond;
+  });
+  const removeCond = (gi, ci) => update(s => {
+    s.groups[gi].conditions.splice(ci, 1);
+    if (s.groups[gi].conditions.length === 0) s.groups.splice(gi, 1);
+  });
+
+  if (cols.length === 0) return null;
+
+  return html`
+    <div id="filter-builder">
+      ${spec.groups.length > 1 ? html`
+        <div class="filter-match">
+          Show rows matching
+          <select value=${spec.match} onChange=${(e) => update(s => { s.match = e.target.value; })}>
+            <option value="all">all</option>
+            <option value="any">any</option>
+          </select>
+          of these groups
+        </div>
+      ` : null}
+      ${spec.groups.map((group, gi) => html`
+        <div class="filter-group" key=${gi}>
+          ${group.conditions.length > 1 ? html`
+            <div class="filter-match">
+              Match
+              <select value=${group.match} onChange=${(e) => update(s => { s.groups[gi].match = e.target.value; })}>
+                <option value="all">all (AND)</option>
+                <option value="any">any (OR)</option>
+              </select>
+            </div>
+          ` : null}
+          ${group.conditions.map((cond, ci) => {
+            const col = cols.find(c => c.id === cond.column_id);
+            if (!col) return html`<div class="filter-condition" key=${ci}>
+              <em class="filter-missing">Column removed</em>
+              <button class="btn-filter-remove" onClick=${() => removeCond(gi, ci)}>×</button>
+            </div>`;
+            const ops = [...FILTER_OPS[filterKind(col)], ...FILTER_EMPTY_OPS];
+            return html`
+              <div class="filter-condition" key=${ci}>
+                <select value=${col.id} onChange=${(e) => setCond(gi, ci, { column_id: Number(e.target.value) })}>
+                  ${cols.map(c => html`<option value=${c.id}>${c.name}</option>`)}
+                </select>
+                <select value=${cond.op} onChange=${(e) => setCond(gi, ci, { op: e.target.value })}>
+                  ${ops.map(op => html`<option value=${op}>${FILTER_OP_LABELS[op]}</option>`)}
+                </select>
+                <${FilterValueInput} col=${col} cond=${cond} onChange=${(value) => setCond(gi, ci, { value })} />
+                <button class="btn-filter-remove" title="Remove condition" onClick=${() => removeCond(gi, ci)}>×</button>
+              </div>
+            `;
+          })}
+          <button class="btn-filter-add" onClick=${() => update(s => { s.groups[gi].conditions.push(newCondition()); })}>+ Condition</button>
+        </div>
+      `)}
+      <div class="filter-actions">
+        <button class="btn-filter-add" onClick=${addGroup}>${spec.groups.length ? '+ Group' : '+ Add a filter'}</button>
+        ${spec.groups.length ? html`<button class="btn-filter-add" onClick=${() => setFilter(null)}>Clear filters</button>` : null}
+      </div>
+    </div>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: ColumnsPanel — show/hide and reorder columns for this view
+// ---------------------------------------------------------------------------
+function ColumnsPanel() {
+  const hidden = new Set(hiddenCols.value);
+  const order = colOrder.value;
+  const rank = (c) => { const i = order.indexOf(c.id); return i === -1 ? order.length : i; };
+  const ordered = [...columns.value].sort((a, b) => rank(a) - rank(b));
+
+  const toggle = (id, visible) => {
+    hiddenCols.value = visible ? hiddenCols.value.filter(h => h !== id) : [...hiddenCols.value, id];
+  };
+  const move = (idx, delta) => {
+    const ids = ordered.map(c => c.id);
+    [ids[idx], ids[idx + delta]] = [ids[idx + delta], ids[idx]];
+    colOrder.value = ids;
+  };
+  const reset = () => batch(() => {
+    hiddenCols.value = [];
+    colOrder.value = [];
+    colWidths.value = {};
+  });
+
+  return html`
+    <div id="columns-panel">
+      <ul>
+        ${ordered.map((col, i) => html`
+          <li key=${col.id}>
+            <label>
+              <input type="checkbox" checked=${!hidden.has(col.id)} onChange=${(e) => toggle(col.id, e.target.checked)} />
+              ${col.name}
+            </label>
+            <button class="btn-col-move" title="Move left" disabled=${i === 0} onClick=${() => move(i, -1)}>←</button>
+            <button class="btn-col-move" title="Move right" disabled=${i === ordered.length - 1} onClick=${() => move(i, 1)}>→</button>
+          </li>
+        `)}
+      </ul>
+      <div class="filter-actions">
+        <button class="btn-filter-add" onClick=${reset}>Show all in original order and width</button>
+      </div>
+    </div>
+  `;
+}
+
 // ---------------------------------------------------------------------------
 // Component: DataTable
 // ---------------------------------------------------------------------------
 function DataTable() {
-  const colsList = columns.value;
+  const colsList = viewColumns.value;
   const fksList = foreignKeys.value;
-  const displayRows = sortedFilteredRows.value;
-  const allRows = rows.value;
+  const displayRows = rows.value;
+  const offset = rowsOffset.value;
+  const { total, matched } = rowCounts.value;
   const tid = activeTableId.value;
   const q = searchQuery.value;
+  const filterCount = activeFilter(filterState.value)?.groups.reduce((n, g) => n + g.conditions.length, 0) ?? 0;
+
+  // Follow the scroll position with the loaded slice, one fetch per frame
+  useEffect(() => {
+    const panel = document.getElementById('table-panel');
+    if (!panel) return;
+    let frame = null;
+    const onScroll = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => { frame = null; followScroll(); });
+    };
+    panel.addEventListener('scroll', onScroll);
+    return () => {
+      panel.removeEventListener('scroll', onScroll);
+      cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // The spacers stand in for rows that aren't loaded, at the height the
+  // loaded ones actually have; expanded notes don't count
+  useEffect(() => {
+    const trs = document.querySelectorAll('#main-table tbody > tr[data-row-id]');
+    if (trs.length === 0) return;
+    const h = [...trs].reduce((sum, tr) => sum + tr.offsetHeight, 0) / trs.length;
+    if (h > 0 && Math.abs(h - rowHeight.value) > 0.5) rowHeight.value = h;
+  });
 
   if (tid === null) {
     return html`<div id="no-table-state">
@@ -877,7 +1733,7 @@ function DataTable() {
     </div>`;
   }
 
-  if (colsList.length === 0) {
+  if (columns.value.length === 0) {
     return html`<div id="no-cols-hint">
       No columns defined yet. Click <strong>Manage Columns</strong> to add your first column.
     </div>`;
@@ -886,37 +1742,62 @@ function DataTable() {
   // Markdown columns are hidden from headers — they appear in the expander row
   const visibleCols = colsList.filter(c => (c.col_type || 'text') !== 'markdown');
   const hasMdCols   = colsList.some(c => (c.col_type || 'text') === 'markdown');
+  const widths      = colWidths.value;
+  const hiddenCount = columns.value.length - colsList.length;
+  const spanCols    = visibleCols.length + (hasMdCols ? 2 : 1);
+  const below       = Math.max(0, matched - offset - displayRows.length);
 
   return html`
     <div>
+      ${asOf.value !== null ? html`
+        <div id="as-of-banner">
+          Viewing this table as of <strong>${new Date(asOf.value + 'Z').toLocaleString()}</strong> — read-only.
+          <button class="toolbar-btn" style="padding:3px 10px;font-size:12px" onClick=${() => setAsOf(null)}>Back to now</button>
+        </div>
+      ` : null}
       <div class="filter-bar">
         <span class="filter-bar-label">Search:</span>
         <input
           type="text"
           placeholder="Filter rows…"
           value=${q}
-          onInput=${(e) => { searchQuery.value = e.target.value; }}
+          onInput=${(e) => setSearch(e.target.value)}
         />
         ${q ? html`<button class="toolbar-btn" style="padding:4px 10px;font-size:12px"
-          onClick=${() => { searchQuery.value = ''; }}>Clear</button>` : null}
-        <span id="row-count">${allRows.length} row${allRows.length !== 1 ? 's' : ''}${q && displayRows.length !== allRows.length ? ` (${displayRows.length} shown)` : ''}</span>
+          onClick=${() => setSearch('')}>Clear</button>` : null}
+        <button
+          class=${'toolbar-btn btn-filters' + (filterCount ? ' active' : '')}
+          onClick=${() => { filterOpen.value = !filterOpen.value; }}
+        >Filters${filterCount ? ` (${filterCount})` : ''}</button>
+        <button
+          class=${'toolbar-btn btn-filters' + (hiddenCount ? ' active' : '')}
+          onClick=${() => { columnsOpen.value = !columnsOpen.value; }}
+        >Columns${hiddenCount ? ` (${hiddenCount} hidden)` : ''}</button>
+        <span id="row-count">${total} row${total !== 1 ? 's' : ''}${matched !== total ? ` (${matched} shown)` : ''}</span>
       </div>
+      ${filterOpen.value ? html`<${FilterBuilder} />` : null}
+      ${columnsOpen.value ? html`<${ColumnsPanel} />` : null}
 
-      ${displayRows.length === 0 && allRows.length === 0
+      ${total === 0
         ? html`<div id="empty-state">
             <strong>No rows yet</strong>
             <p>Click <strong>+ Add Row</strong> to create your first entry.</p>
           </div>`
-        : displayRows.length === 0
+        : matched === 0
         ? html`<div id="empty-state">
             <strong>No matching rows</strong>
-            <p>Try adjusting your search query.</p>
+            <p>Try adjusting your search or filters.</p>
           </div>`
         : null
       }
 
-      ${displayRows.length > 0 ? html`
+      ${matched > 0 ? html`
         <table id="main-table">
+          <colgroup>
+            ${hasMdCols ? html`<col />` : null}
+            ${visibleCols.map(col => html`<col key=${col.id} style=${widths[col.id] ? `width:${widths[col.id]}px` : ''} />`)}
+            <col />
+          </colgroup>
           <thead>
             <tr>
               ${hasMdCols ? html`<th class="expand-chevron-th" title="Click row to expand notes"></th>` : null}
@@ -928,9 +1809,15 @@ function DataTable() {
             </tr>
           </thead>
           <tbody>
+            ${offset > 0 ? html`
+              <tr class="row-spacer"><td colspan=${spanCols} style=${`height:${offset * rowHeight.value}px`}></td></tr>
+            ` : null}
             ${displayRows.map(row => html`
               <${DataRow} key=${row.row_id} row=${row} colsList=${colsList} fksList=${fksList} />
             `)}
+            ${below > 0 ? html`
+              <tr class="row-spacer"><td colspan=${spanCols} style=${`height:${below * rowHeight.value}px`}></td></tr>
+            ` : null}
           </tbody>
         </table>
       ` : null}
@@ -945,10 +1832,12 @@ let _historyData = [];
 const historyLoading = signal(false);
 const historyError   = signal(null);
 const historyRows    = signal([]);   // rendered entries
+const historySelected = signal(null); // entry id picked as the "restore row to here" point
 
 async function loadHistoryData(rowId) {
   historyLoading.value = true;
   historyError.value   = null;
+  historySelected.value = null;
   try {
     const history = await API.getHistory(rowId);
     historyRows.value = [...history].reverse();
@@ -960,23 +1849,73 @@ async function loadHistoryData(rowId) {
 }
 
 // ---------------------------------------------------------------------------
-// Component: HistoryPanel
+// Component: AuthorBadge — initials + name of whoever wrote an event
 // ---------------------------------------------------------------------------
-function HistoryPanel() {
-  const rowId = activeRowId.value;
-  const loading = historyLoading.value;
+function authorInitials(author) {
+  if (!author || author === 'unknown') return '?';
+  if (profile.value && author === profile.value.name) return profile.value.initials;
+  return author.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('');
+}
+
+function AuthorBadge({ author }) {
+  const name = author || 'unknown';
+  return html`
+    <span class=${'history-author' + (name === 'unknown' ? ' unknown' : '')}>
+      <span class="author-initials">${authorInitials(name)}</span>${name}
+    </span>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: HistoryPanel
+// ---------------------------------------------------------------------------
+function HistoryPanel() {
+  const rowId = activeRowId.value;
+  const loading = historyLoading.value;
   const error = historyError.value;
   const entries = historyRows.value;
   const fks = foreignKeys.value;
   const fkMap = fkOptionsMap.value;
   const cols = columns.value;
+  const selectedId = historySelected.value;
+  const readOnly = asOf.value !== null;
+  const [authorFilter, setAuthorFilter] = useState('');
 
   if (!rowId) return null;
 
+  const authors = [...new Set(entries.map(e => e.author || 'unknown'))].sort();
+  const shown = authorFilter ? entries.filter(e => (e.author || 'unknown') === authorFilter) : entries;
+
   const close = () => {
     activeRowId.value = null;
   };
 
+  const afterRestore = async (msg) => {
+    await loadHistoryData(rowId);
+    toast(msg, 'success');
+  };
+
+  const restoreValue = async (entry) => {
+    try {
+      await API.updateRow(rowId, { [entry.column_name]: entry.value });
+      await afterRestore(`"${entry.column_name}" restored`);
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  const restoreRowToSelected = async () => {
+    try {
+      const { changed } = await API.revertRow(rowId, selectedId);
+      if (changed === 0) { toast('Row already matches that point', 'success'); return; }
+      await afterRestore(`Row restored (${changed} cell${changed !== 1 ? 's' : ''} changed)`);
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  const liveColIds = new Set(cols.map(c => c.id));
+
   const resolveFkVal = (colName, val) => {
     const fkDef = fks.find(fk => fk.from_column_name === colName);
     if (!fkDef) return `"${val}"`;
@@ -996,14 +1935,34 @@ function HistoryPanel() {
         </div>
         <button id="btn-history-close" title="Close history" onClick=${close}>×</button>
       </div>
+      ${authors.length > 1 || authorFilter ? html`
+        <div id="history-filter">
+          <label>
+            Author
+            <select value=${authorFilter} onChange=${(e) => setAuthorFilter(e.target.value)}>
+              <option value="">Everyone</option>
+              ${authors.map(a => html`<option value=${a}>${a}</option>`)}
+            </select>
+          </label>
+        </div>
+      ` : null}
+      ${!readOnly ? html`
+        <div id="history-actions">
+          ${selectedId === null
+            ? html`<span class="history-hint">Select an entry to restore the row to that point.</span>`
+            : html`<button class="btn-row-action" onClick=${restoreRowToSelected}>Restore row to this point</button>
+                   <button class="btn-row-action" onClick=${() => { historySelected.value = null; }}>Cancel</button>`
+          }
+        </div>
+      ` : null}
       <ol id="history-list">
         ${loading
           ? html`<li style="padding:8px 16px;color:#94a3b8;font-size:12px">Loading…</li>`
           : error
           ? html`<li style="padding:8px 16px;color:#dc2626;font-size:12px">${error}</li>`
-          : entries.length === 0
-          ? html`<li style="padding:8px 16px;color:#94a3b8;font-size:12px">No history found.</li>`
-          : entries.map((entry, i) => {
+          : shown.length === 0
+          ? html`<li style="padding:8px 16px;color:#94a3b8;font-size:12px">${authorFilter ? `No changes by ${authorFilter}.` : 'No history found.'}</li>`
+          : shown.map(entry => {
               const ts = entry.timestamp.endsWith('Z') ? entry.timestamp : entry.timestamp + 'Z';
               const dateObj = new Date(ts);
               let descClass = 'history-desc';
@@ -1024,9 +1983,20 @@ function HistoryPanel() {
                 }
                 descText = `${col} → ${displayVal}`;
               }
-              return html`<li key=${i}>
+              const canRestoreValue = !readOnly && !entry.sentinel && liveColIds.has(entry.column_id);
+              return html`<li
+                key=${entry.id}
+                class=${'history-entry' + (entry.id === selectedId ? ' selected' : '')}
+                onClick=${() => { if (!readOnly) historySelected.value = entry.id === selectedId ? null : entry.id; }}
+              >
                 <span class="history-time" title=${relativeTime(dateObj)}>${dateObj.toLocaleString()}</span>
+                <${AuthorBadge} author=${entry.author} />
                 <span class=${descClass}>${descText}</span>
+                ${canRestoreValue ? html`<button
+                  class="btn-history-restore"
+                  title="Write this value back as a new edit"
+                  onClick=${(e) => { e.stopPropagation(); restoreValue(entry); }}
+                >restore this value</button>` : null}
               </li>`;
             })
         }
@@ -1046,11 +2016,6 @@ function ColManageModal({ onClose }) {
   const [newChoices, setNewChoices] = useState('');
   const newNameRef = useRef(null);
 
-  const TYPE_OPTIONS = [
-    ['text','Text'],['number','Number'],['boolean','Checkbox'],
-    ['date','Date'],['datetime','Date & Time'],['url','URL'],['select','Select'],['markdown','Markdown']
-  ];
-
   const doAddColumn = async () => {
     const name = newName.trim();
     if (!name) return;
@@ -1060,7 +2025,6 @@ function ColManageModal({ onClose }) {
     try {
       await API.addColumn(name, newUnique ? 1 : 0, newType, col_choices);
       setNewName(''); setNewType('text'); setNewUnique(false); setNewChoices('');
-      await refresh();
       toast(`Column "${name}" added`, 'success');
       requestAnimationFrame(() => newNameRef.current?.focus());
     } catch (err) {
@@ -1110,27 +2074,122 @@ function ColManageModal({ onClose }) {
             />
           </div>
         ` : null}
+        ${cols.length >= 2 ? html`<${UniqueTogether} />` : null}
       </div>
     </dialog>
   `;
 }
 
+// Unique constraints over several columns. Duplicates that would block a
+// new one are listed instead of adding it.
+function UniqueTogether() {
+  const cols = columns.value;
+  const constraints = uniqueConstraints.value;
+  const [picked, setPicked] = useState([]);
+  const [dupes, setDupes]   = useState(null);  // { names, groups } already repeating the picked set
+  const pickedIds = cols.filter(c => picked.includes(c.id)).map(c => c.id);
+
+  const toggle = (id, on) => {
+    setPicked(on ? [...picked, id] : picked.filter(p => p !== id));
+    setDupes(null);
+  };
+
+  const doAdd = async () => {
+    try {
+      const { groups } = await API.previewUniqueConstraint(pickedIds);
+      if (groups.length > 0) {
+        // The worker reports values in column id order
+        const names = [...pickedIds].sort((a, b) => a - b).map(id => cols.find(c => c.id === id).name);
+        setDupes({ names, groups });
+        return;
+      }
+      await API.addUniqueConstraint(pickedIds);
+      setPicked([]);
+      toast('Unique constraint added', 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  const doDelete = async (id) => {
+    try {
+      await API.deleteUniqueConstraint(id);
+      toast('Unique constraint removed', 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  const shown = dupes ? dupes.groups.slice(0, CONVERT_PREVIEW_ROWS) : [];
+
+  return html`
+    <div class="unique-together">
+      <h4>Unique together</h4>
+      <p class="import-hint">
+        No two rows may share the same values in all of the chosen columns.
+        Rows with any of them empty are not checked.
+      </p>
+      <ul id="unique-list">
+        ${constraints.map(u => html`
+          <li key=${u.id}>
+            <span class="fk-desc">${u.column_names.join(' + ')}</span>
+            <button class="col-action-btn danger" onClick=${() => doDelete(u.id)}>Remove</button>
+          </li>
+        `)}
+      </ul>
+      <div class="unique-pick">
+        ${cols.map(c => html`
+          <label key=${c.id} class="unique-label">
+            <input type="checkbox" checked=${picked.includes(c.id)} onChange=${(e) => toggle(c.id, e.target.checked)} /> ${c.name}
+          </label>
+        `)}
+        <button class="col-action-btn" disabled=${pickedIds.length < 2} onClick=${doAdd}>Add</button>
+      </div>
+      ${dupes ? html`
+        <div class="convert-preview">
+          <p class="convert-warning">
+            ${dupes.groups.length} combination(s) already appear in more than one row.
+            Edit or remove these rows first:
+          </p>
+          <table class="convert-table">
+            <thead><tr>${dupes.names.map(n => html`<th key=${n}>${n}</th>`)}<th>Rows</th></tr></thead>
+            <tbody>
+              ${shown.map(g => html`
+                <tr key=${JSON.stringify(g.values)}>
+                  ${g.values.map((v, i) => html`<td key=${i}>${v}</td>`)}
+                  <td>${g.rows.map(r => r.row_label ?? r.row_id.slice(0, 8) + '…').join(', ')}</td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+          ${dupes.groups.length > shown.length ? html`<p class="import-hint">…and ${dupes.groups.length - shown.length} more.</p>` : null}
+          <div class="confirm-actions">
+            <button class="btn-confirm-cancel" onClick=${() => setDupes(null)}>Close</button>
+          </div>
+        </div>
+      ` : null}
+    </div>
+  `;
+}
+
+const CONVERT_PREVIEW_ROWS = 50;
+
 function ColItem({ col }) {
   const [name, setName]       = useState(col.name);
   const [colType, setColType] = useState(col.col_type || 'text');
   const [choices, setChoices] = useState(col.col_choices || '');
-
-  const TYPE_OPTIONS = [
-    ['text','Text'],['number','Number'],['boolean','Checkbox'],
-    ['date','Date'],['datetime','Date & Time'],['url','URL'],['select','Select'],['markdown','Markdown']
-  ];
+  const [preview, setPreview] = useState(null);   // what converting would do, shown before it happens
+  const [invalidMode, setInvalidMode] = useState('coerce');
+  const [editingRules, setEditingRules] = useState(false);
+  const fkDef = foreignKeys.value.find(fk => fk.from_column_id === col.id) ?? null;
+  const hasConstraints = col.is_required || col.default_value !== null || col.rules !== null;
+  const uniqueWith = uniqueConstraints.value.filter(u => u.column_ids.includes(col.id));
 
   const doRename = async () => {
     const newName = name.trim();
     if (!newName || newName === col.name) return;
     try {
       await API.renameColumn(col.id, newName);
-      await refresh();
       toast(`Renamed to "${newName}"`, 'success');
       if (activeRowId.value) await loadHistoryData(activeRowId.value);
     } catch (err) {
@@ -1142,7 +2201,6 @@ function ColItem({ col }) {
     const newVal = e.target.checked ? 1 : 0;
     try {
       await API.setColumnUnique(col.id, newVal);
-      await refresh();
       toast(`Unique constraint ${newVal ? 'enabled' : 'disabled'} on "${col.name}"`, 'success');
     } catch (err) {
       e.target.checked = !e.target.checked;
@@ -1150,19 +2208,43 @@ function ColItem({ col }) {
     }
   };
 
-  const doSetType = async () => {
-    const newChoices = colType === 'select'
-      ? choices.split(',').map(s => s.trim()).filter(Boolean).join(',') || null
-      : null;
+  const choicesFor = (text) => colType === 'select'
+    ? text.split(',').map(s => s.trim()).filter(Boolean).join(',') || null
+    : null;
+
+  const doConvert = async (newChoices, mode) => {
     try {
-      await API.setColumnType(col.id, colType, newChoices);
-      await refresh();
-      toast(`Column type set to "${colType}"`, 'success');
+      const { changed, cleared } = await API.convertColumnType(col.id, colType, newChoices, mode);
+      setPreview(null);
+      const note = changed ? ` — ${changed} value(s) rewritten${cleared ? `, ${cleared} cleared` : ''}` : '';
+      toast(`Column type set to "${colType}"${note}`, 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  // Values that need rewriting are shown first; otherwise convert straight away
+  const doSetType = async (choiceText = choices) => {
+    const newChoices = choicesFor(choiceText);
+    try {
+      const result = await API.previewColumnType(col.id, colType, newChoices);
+      if (result.invalid.length === 0 && result.reformatted.length === 0) {
+        await doConvert(newChoices, 'coerce');
+      } else {
+        setInvalidMode('coerce');
+        setPreview(result);
+      }
     } catch (err) {
       toast(err.message);
     }
   };
 
+  const useExistingChoices = () => {
+    const text = preview.distinct_values.join(', ');
+    setChoices(text);
+    doSetType(text);
+  };
+
   const doDelete = async () => {
     const ok = await showConfirm(
       'Remove Column',
@@ -1172,7 +2254,6 @@ function ColItem({ col }) {
     if (!ok) return;
     try {
       await API.deleteColumn(col.id);
-      await refresh();
       toast(`Column "${col.name}" removed`, 'success');
     } catch (err) {
       toast(err.message);
@@ -1192,7 +2273,12 @@ function ColItem({ col }) {
       <label class="unique-label">
         <input type="checkbox" checked=${col.is_unique === 1} onChange=${doSetUnique} /> Unique
       </label>
-      <select class="col-type-select" value=${colType} onChange=${(e) => setColType(e.target.value)}>
+      ${uniqueWith.map(u => html`
+        <span key=${u.id} class="unique-with" title="No two rows may share the same values in all of these columns">
+          unique with ${u.column_names.filter((_, i) => u.column_ids[i] !== col.id).join(' + ')}
+        </span>
+      `)}
+      <select class="col-type-select" value=${colType} onChange=${(e) => { setColType(e.target.value); setPreview(null); }}>
         ${TYPE_OPTIONS.map(([v, l]) => html`<option key=${v} value=${v}>${l}</option>`)}
       </select>
       ${colType === 'select' ? html`
@@ -1202,15 +2288,178 @@ function ColItem({ col }) {
           type="text"
           placeholder="e.g. Draft, Active, Closed"
           value=${choices}
-          onInput=${(e) => setChoices(e.target.value)}
+          onInput=${(e) => { setChoices(e.target.value); setPreview(null); }}
         />
       ` : null}
-      <button class="col-action-btn" onClick=${doSetType}>Set</button>
+      <button class="col-action-btn" onClick=${() => doSetType()}>Set</button>
+      <button
+        class=${'col-action-btn' + (hasConstraints ? ' has-rules' : '')}
+        title="Required, default value and rules"
+        onClick=${() => setEditingRules(!editingRules)}
+      >Rules${hasConstraints ? ' •' : ''}</button>
       <button class="col-action-btn danger" onClick=${doDelete}>Remove</button>
+      ${editingRules ? html`<${ConstraintsEditor} col=${col} fkDef=${fkDef} onClose=${() => setEditingRules(false)} />` : null}
+      ${preview ? html`
+        <${ConvertPreview}
+          col=${col}
+          colType=${colType}
+          preview=${preview}
+          mode=${invalidMode}
+          onMode=${setInvalidMode}
+          onUseExisting=${colType === 'select' && preview.distinct_values.length ? useExistingChoices : null}
+          onCancel=${() => setPreview(null)}
+          onConvert=${() => doConvert(choicesFor(choices), invalidMode)}
+        />
+      ` : null}
     </li>
   `;
 }
 
+// One typed value for a column, as the table's editing cell would take it
+function ValueInput({ col, fkDef, value, onChange }) {
+  const colType = col.col_type || 'text';
+  if (fkDef) {
+    const opts = fkOptionsMap.value[col.id] || [];
+    return html`
+      <select value=${value} onChange=${(e) => onChange(e.target.value)}>
+        <option value="">— none —</option>
+        ${opts.map(o => html`<option key=${o.row_id} value=${o.row_id}>${o.label ?? o.row_id.slice(0, 8) + '…'}</option>`)}
+      </select>
+    `;
+  }
+  if (colType === 'select' || colType === 'boolean') {
+    const options = colType === 'boolean'
+      ? [['1', 'Checked'], ['0', 'Unchecked']]
+      : (col.col_choices || '').split(',').map(c => c.trim()).filter(Boolean).map(c => [c, c]);
+    return html`
+      <select value=${value} onChange=${(e) => onChange(e.target.value)}>
+        <option value="">— none —</option>
+        ${options.map(([v, l]) => html`<option key=${v} value=${v}>${l}</option>`)}
+      </select>
+    `;
+  }
+  const type = { number: 'number', date: 'date', datetime: 'datetime-local', url: 'url' }[colType] || 'text';
+  return html`<input class="col-name-input" type=${type} step=${colType === 'number' ? 'any' : colType === 'datetime' ? '1' : undefined}
+    value=${value} onInput=${(e) => onChange(e.target.value)} />`;
+}
+
+// Inline editor under a column: required, default value and per-type rules
+function ConstraintsEditor({ col, fkDef, onClose }) {
+  const colType = col.col_type || 'text';
+  const rules = col.rules ?? {};
+  const [required, setRequired] = useState(!!col.is_required);
+  const [def, setDef]           = useState(col.default_value ?? '');
+  const [min, setMin]           = useState(rules.min ?? '');
+  const [max, setMax]           = useState(rules.max ?? '');
+  const [pattern, setPattern]   = useState(rules.pattern ?? '');
+  const ranged = !fkDef && ['number', 'date', 'datetime'].includes(colType);
+  const patterned = !fkDef && ['text', 'url', 'markdown'].includes(colType);
+  const rangeType = { number: 'number', date: 'date', datetime: 'datetime-local' }[colType];
+
+  const save = async () => {
+    const newRules = ranged ? { min, max } : patterned ? { pattern } : null;
+    try {
+      await API.setColumnConstraints(col.id, { is_required: required, default_value: def, rules: newRules });
+      toast(`Rules saved for "${col.name}"`, 'success');
+      onClose();
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  return html`
+    <div class="constraints-editor">
+      ${colType !== 'boolean' ? html`
+        <label class="unique-label">
+          <input type="checkbox" checked=${required} onChange=${(e) => setRequired(e.target.checked)} />
+          Required — every row must have a value
+        </label>
+      ` : null}
+      <label class="constraint-field">
+        Default for new rows
+        <${ValueInput} col=${col} fkDef=${fkDef} value=${def} onChange=${setDef} />
+      </label>
+      ${ranged ? html`
+        <label class="constraint-field">
+          ${colType === 'number' ? 'Minimum' : 'Earliest'}
+          <input class="col-name-input" type=${rangeType} step=${colType === 'number' ? 'any' : colType === 'datetime' ? '1' : undefined}
+            value=${min} onInput=${(e) => setMin(e.target.value)} />
+        </label>
+        <label class="constraint-field">
+          ${colType === 'number' ? 'Maximum' : 'Latest'}
+          <input class="col-name-input" type=${rangeType} step=${colType === 'number' ? 'any' : colType === 'datetime' ? '1' : undefined}
+            value=${max} onInput=${(e) => setMax(e.target.value)} />
+        </label>
+      ` : null}
+      ${patterned ? html`
+        <label class="constraint-field">
+          Must match pattern
+          <input class="col-name-input" type="text" placeholder="e.g. ^[A-Z]{2}-\\d+$"
+            value=${pattern} onInput=${(e) => setPattern(e.target.value)} />
+        </label>
+      ` : null}
+      <div class="confirm-actions">
+        <button class="btn-confirm-cancel" onClick=${onClose}>Cancel</button>
+        <button class="btn-prompt-ok" onClick=${save}>Save rules</button>
+      </div>
+    </div>
+  `;
+}
+
+// Inline report under a column: what a type change would rewrite or clear
+function ConvertPreview({ col, colType, preview, mode, onMode, onUseExisting, onCancel, onConvert }) {
+  const typeLabel = TYPE_OPTIONS.find(([v]) => v === colType)?.[1] ?? colType;
+  const { reformatted, invalid } = preview;
+  const example = reformatted[0];
+  const shown = invalid.slice(0, CONVERT_PREVIEW_ROWS);
+
+  return html`
+    <div class="convert-preview">
+      <p>
+        Converting <strong>${col.name}</strong> to ${typeLabel}:
+        ${' '}${preview.filled} of ${preview.rows} row(s) have a value.
+      </p>
+      ${onUseExisting ? html`
+        <button class="btn-filter-add" onClick=${onUseExisting}>
+          Use the ${preview.distinct_values.length} existing value(s) as choices
+        </button>
+      ` : null}
+      ${reformatted.length ? html`
+        <p>${reformatted.length} value(s) will be rewritten in the new format, e.g. "${example.value}" → "${example.converted}".</p>
+      ` : null}
+      ${invalid.length ? html`
+        <p class="convert-warning">${invalid.length} value(s) do not fit a ${typeLabel} column:</p>
+        <table class="convert-table">
+          <thead><tr><th>Row</th><th>Value</th><th>Coerced to</th></tr></thead>
+          <tbody>
+            ${shown.map(e => html`
+              <tr key=${e.row_id}>
+                <td>${e.row_label ?? e.row_id.slice(0, 8) + '…'}</td>
+                <td>${e.value}</td>
+                <td>${e.coerced ?? html`<em>cleared</em>`}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+        ${invalid.length > shown.length ? html`<p class="import-hint">…and ${invalid.length - shown.length} more.</p>` : null}
+        <label class="convert-mode">
+          <input type="radio" checked=${mode === 'coerce'} onChange=${() => onMode('coerce')} />
+          Coerce them where possible and clear the rest
+        </label>
+        <label class="convert-mode">
+          <input type="radio" checked=${mode === 'clear'} onChange=${() => onMode('clear')} />
+          Clear them all
+        </label>
+      ` : null}
+      <p class="import-hint">Old values stay in each row's history, and the conversion can be undone.</p>
+      <div class="confirm-actions">
+        <button class="btn-confirm-cancel" onClick=${onCancel}>Cancel</button>
+        <button class="btn-prompt-ok" onClick=${onConvert}>Convert</button>
+      </div>
+    </div>
+  `;
+}
+
 // ---------------------------------------------------------------------------
 // Component: RelationshipsModal
 // ---------------------------------------------------------------------------
@@ -1230,7 +2479,6 @@ function RelationshipsModal({ onClose }) {
     if (!fromColId || !toTableId) { toast('Select both a column and a target table'); return; }
     try {
       await API.addForeignKey(parseInt(fromColId), parseInt(toTableId));
-      await refresh();
       setFromColId(''); setToTableId('');
       toast('Relationship added', 'success');
     } catch (err) {
@@ -1241,7 +2489,6 @@ function RelationshipsModal({ onClose }) {
   const doDelete = async (fkId) => {
     try {
       await API.deleteForeignKey(fkId);
-      await refresh();
       toast('Relationship removed', 'success');
     } catch (err) {
       toast(err.message);
@@ -1290,6 +2537,55 @@ function RelationshipsModal({ onClose }) {
   `;
 }
 
+// ---------------------------------------------------------------------------
+// Component: NewRowModal — asks for required values before creating a row
+// ---------------------------------------------------------------------------
+function NewRowModal({ onClose }) {
+  const required = columns.value.filter(c => c.is_required && c.default_value === null);
+  const [cells, setCells] = useState({});
+  const complete = required.every(c => (cells[c.name] ?? '') !== '');
+
+  const create = async () => {
+    try {
+      const { row_id } = await API.addRow(cells);
+      onClose();
+      toast('Row added', 'success');
+      await revealRow(row_id, rowsNarrowed());
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>New Row</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <p class="import-hint">These columns are required. Other columns can be filled in afterwards.</p>
+        <div class="new-row-fields">
+          ${required.map(col => html`
+            <label key=${col.id} class="constraint-field">
+              ${col.name}
+              <${ValueInput}
+                col=${col}
+                fkDef=${foreignKeys.value.find(fk => fk.from_column_id === col.id) ?? null}
+                value=${cells[col.name] ?? ''}
+                onChange=${(v) => setCells({ ...cells, [col.name]: v })}
+              />
+            </label>
+          `)}
+        </div>
+        <div class="confirm-actions">
+          <button class="btn-confirm-cancel" onClick=${onClose}>Cancel</button>
+          <button class="btn-prompt-ok" disabled=${!complete} onClick=${create}>Add Row</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
 // ---------------------------------------------------------------------------
 // Component: ConfirmDeleteRowModal
 // ---------------------------------------------------------------------------
@@ -1299,7 +2595,6 @@ function ConfirmDeleteRowModal({ rowId, onClose }) {
     try {
       await API.deleteRow(rowId);
       if (activeRowId.value === rowId) activeRowId.value = null;
-      await refresh();
       toast('Row deleted', 'success');
     } catch (err) {
       toast(err.message);
@@ -1326,116 +2621,1327 @@ function ConfirmDeleteRowModal({ rowId, onClose }) {
 }
 
 // ---------------------------------------------------------------------------
-// Component: PromptModal
+// Component: TrashModal — soft-deleted rows of the active table
 // ---------------------------------------------------------------------------
-function PromptModal({ title, label, defaultValue, resolve, onClose }) {
-  const inputRef = useRef(null);
+function TrashModal({ onClose }) {
+  const cols = columns.value.filter(c => (c.col_type || 'text') !== 'markdown');
+  const fks = foreignKeys.value;
+  const fkMap = fkOptionsMap.value;
+  const [deleted, setDeleted] = useState(null);
+  const [error, setError]     = useState(null);
 
-  useEffect(() => {
-    const el = inputRef.current;
-    if (el) { el.focus(); el.select(); }
-  }, []);
+  const load = async () => {
+    try {
+      setDeleted(await API.getDeletedRows());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-  const submit = () => {
-    const val = inputRef.current?.value.trim() || null;
-    onClose();
-    resolve(val);
+  useEffect(() => { load(); }, []);
+
+  const doRestore = async (rowId) => {
+    try {
+      await API.restoreRow(rowId);
+      await load();
+      toast('Row restored', 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  const displayVal = (col, val) => {
+    if (val == null || val === '') return '';
+    const fkDef = fks.find(fk => fk.from_column_id === col.id);
+    if (fkDef) {
+      const m = (fkMap[col.id] || []).find(o => o.row_id === val);
+      return m ? (m.label ?? val.slice(0, 8) + '…') : val.slice(0, 8) + '… (deleted)';
+    }
+    const renderer = CELL_RENDERERS[col.col_type || 'text'] || CELL_RENDERERS.text;
+    return renderer(val);
   };
-  const cancel = () => { onClose(); resolve(null); };
 
   return html`
-    <dialog open>
+    <dialog open class="wide">
       <div class="modal-header">
-        <h3>${title}</h3>
-        <button class="modal-close" onClick=${cancel}>×</button>
+        <h3>Trash</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
       </div>
-      <div class="modal-body" style="padding:20px">
-        <label style="display:block;font-size:13px;color:#475569;margin-bottom:6px">${label}</label>
-        <input
-          ref=${inputRef}
-          type="text"
-          style="width:100%;padding:7px 10px;border:1px solid #e2e8f0;border-radius:4px;font-size:14px"
-          defaultValue=${defaultValue}
-          onKeyDown=${(e) => {
-            if (e.key === 'Enter') { e.preventDefault(); submit(); }
-            if (e.key === 'Escape') { e.preventDefault(); cancel(); }
-          }}
-        />
-        <div class="prompt-actions" style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
-          <button class="btn-prompt-cancel" onClick=${cancel}>Cancel</button>
-          <button class="btn-prompt-ok" onClick=${submit}>OK</button>
-        </div>
+      <div class="modal-body">
+        ${error
+          ? html`<p style="color:#dc2626;font-size:13px">${error}</p>`
+          : deleted === null
+          ? html`<p style="color:#94a3b8;font-size:13px">Loading…</p>`
+          : deleted.length === 0
+          ? html`<p style="color:#94a3b8;font-size:13px">No deleted rows in this table.</p>`
+          : html`
+            <table id="trash-table">
+              <thead>
+                <tr>
+                  ${cols.map(col => html`<th key=${col.id}>${col.name}</th>`)}
+                  <th>Deleted</th>
+                  <th class="actions-th"></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${deleted.map(row => {
+                  const ts = row.deleted_at.endsWith('Z') ? row.deleted_at : row.deleted_at + 'Z';
+                  const dateObj = new Date(ts);
+                  return html`
+                    <tr key=${row.row_id}>
+                      ${cols.map(col => html`<td key=${col.id}>${displayVal(col, row.cells[col.name])}</td>`)}
+                      <td class="trash-deleted-at" title=${dateObj.toLocaleString()}>${relativeTime(dateObj)}</td>
+                      <td class="actions-td">
+                        <button class="btn-row-action" onClick=${() => doRestore(row.row_id)}>Restore</button>
+                      </td>
+                    </tr>
+                  `;
+                })}
+              </tbody>
+            </table>
+          `
+        }
       </div>
     </dialog>
   `;
 }
 
 // ---------------------------------------------------------------------------
-// Component: GeneralConfirmModal
+// Component: SchemaHistoryModal — table/column/FK changes of the active table
 // ---------------------------------------------------------------------------
-function GeneralConfirmModal({ title, message, confirmLabel, danger, resolve, onClose }) {
-  const confirm = () => { onClose(); resolve(true); };
-  const cancel  = () => { onClose(); resolve(false); };
+function SchemaHistoryModal({ onClose }) {
+  const tbl = activeTable.value;
+  const [entries, setEntries] = useState(null);
+  const [error, setError]     = useState(null);
+
+  useEffect(() => {
+    API.getSchemaHistory()
+      .then(history => setEntries([...history].reverse()))
+      .catch(err => setError(err.message));
+  }, []);
 
   return html`
     <dialog open>
       <div class="modal-header">
-        <h3>${title}</h3>
-        <button class="modal-close" onClick=${cancel}>×</button>
+        <h3>Schema History${tbl ? ` — ${tbl.name}` : ''}</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
       </div>
-      <div class="modal-body" style="padding:20px">
-        <p style="color:#475569;font-size:14px">${message}</p>
-        <div class="confirm-actions">
-          <button class="btn-confirm-cancel" onClick=${cancel}>Cancel</button>
-          <button
-            class="btn-confirm-delete"
-            style=${danger ? '' : 'background:#3b82f6;border-color:#2563eb'}
-            onClick=${confirm}
-          >${confirmLabel}</button>
-        </div>
+      <div class="modal-body">
+        <ol id="schema-history-list">
+          ${error
+            ? html`<li style="color:#dc2626;font-size:12px">${error}</li>`
+            : entries === null
+            ? html`<li style="color:#94a3b8;font-size:12px">Loading…</li>`
+            : entries.length === 0
+            ? html`<li style="color:#94a3b8;font-size:12px">No schema changes recorded.</li>`
+            : entries.map(entry => {
+                const dateObj = new Date(entry.timestamp.endsWith('Z') ? entry.timestamp : entry.timestamp + 'Z');
+                const descClass = 'history-desc' + (entry.action.endsWith('_deleted') ? ' sentinel' : entry.action.endsWith('_created') ? ' new-row' : '');
+                return html`<li key=${entry.id}>
+                  <span class="history-time" title=${relativeTime(dateObj)}>${dateObj.toLocaleString()}</span>
+                  <${AuthorBadge} author=${entry.author} />
+                  <span class=${descClass}>${entry.description}</span>
+                </li>`;
+              })
+          }
+        </ol>
       </div>
     </dialog>
   `;
 }
 
 // ---------------------------------------------------------------------------
-// Component: ModalLayer — renders whichever modal is active
+// Component: ActivityModal — recent changes across a table or all tables
 // ---------------------------------------------------------------------------
-function ModalLayer() {
-  const ms = modalState.value;
-  if (!ms) return null;
-
-  const onClose = () => { modalState.value = null; };
-
-  if (ms.type === 'cols')    return html`<${ColManageModal} onClose=${onClose} />`;
-  if (ms.type === 'rels')    return html`<${RelationshipsModal} onClose=${onClose} />`;
-  if (ms.type === 'confirm') return html`<${ConfirmDeleteRowModal} rowId=${ms.rowId} onClose=${onClose} />`;
-  if (ms.type === 'prompt')  return html`<${PromptModal} ...${{...ms, onClose}} />`;
-  if (ms.type === 'general-confirm') return html`<${GeneralConfirmModal} ...${{...ms, onClose}} />`;
-  return null;
+const ACTIVITY_KINDS = [['create', 'Created'], ['edit', 'Edited'], ['delete', 'Deleted'], ['restore', 'Restored']];
+const ACTIVITY_RANGES = [['today', 'Today'], ['yesterday', 'Since yesterday'], ['week', 'Last 7 days'], ['all', 'All time']];
+const ACTIVITY_PAGE = 100;
+
+function activitySince(range) {
+  if (range === 'all') return null;
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  if (range === 'yesterday') d.setDate(d.getDate() - 1);
+  if (range === 'week') d.setDate(d.getDate() - 6);
+  return d.toISOString().slice(0, 23);
 }
 
-// ---------------------------------------------------------------------------
-// Component: Toolbar
-// ---------------------------------------------------------------------------
-function Toolbar() {
-  const tbl = activeTable.value;
-  const disabled = !tbl;
-  const cols = columns.value;
+function ActivityModal({ scope: initialScope, onClose }) {
+  const tid = activeTableId.value;
+  const [scope, setScope]       = useState(tid === null ? 'all' : initialScope);
+  const [columnId, setColumnId] = useState('');
+  const [kinds, setKinds]       = useState(ACTIVITY_KINDS.map(([k]) => k));
+  const [author, setAuthor]     = useState('');
+  const [range, setRange]       = useState('yesterday');
+  const [feed, setFeed]         = useState(null);  // { entries, more, authors }
+  const [error, setError]       = useState(null);
+
+  const filters = (before_id = null) => ({
+    table_id: scope === 'table' ? tid : null,
+    column_id: scope === 'table' && columnId ? Number(columnId) : null,
+    kinds,
+    author: author || null,
+    since: activitySince(range),
+    before_id,
+    limit: ACTIVITY_PAGE,
+  });
 
-  const handleAddRow = async () => {
-    if (disabled) return;
+  useEffect(() => {
+    let stale = false;
+    setFeed(null);
+    API.getActivity(filters())
+      .then(res => { if (!stale) { setFeed(res); setError(null); } })
+      .catch(err => { if (!stale) setError(err.message); });
+    return () => { stale = true; };
+  }, [scope, columnId, kinds.join(), author, range, logRevision.value]);
+
+  const loadMore = async () => {
     try {
-      await API.addRow({});
-      await refresh();
+      const res = await API.getActivity(filters(feed.entries[feed.entries.length - 1].id));
+      setFeed({ ...res, entries: [...feed.entries, ...res.entries] });
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  const toggleKind = (k) => {
+    setKinds(kinds.includes(k) ? kinds.filter(x => x !== k) : [...kinds, k]);
+  };
+
+  const openRow = async (entry) => {
+    modalState.value = null;
+    if (asOf.value !== null) await setAsOf(null);
+    if (entry.table_id !== activeTableId.value) await switchTable(entry.table_id);
+    activeRowId.value = entry.row_id;
+    loadHistoryData(entry.row_id);
+    if (entry.kind !== 'delete') await revealRow(entry.row_id, rowsNarrowed());
+  };
+
+  const label = (entry) => {
+    const inView = entry.table_id === activeTableId.value && rows.value.some(r => r.row_id === entry.row_id);
+    return inView ? rowLabel(entry.row_id) : (entry.row_label ?? entry.row_id.slice(0, 8) + '…');
+  };
+
+  const describe = (entry) => {
+    if (entry.kind === 'create')  return 'Row created';
+    if (entry.kind === 'delete')  return 'Row deleted';
+    if (entry.kind === 'restore') return 'Row restored';
+    const col = entry.column_name ?? '(deleted column)';
+    if (entry.value === null || entry.value === '') return `${col} cleared`;
+    return `${col} → "${entry.value_label ?? entry.value}"`;
+  };
+
+  return html`
+    <dialog open class="wide">
+      <div class="modal-header">
+        <h3>Activity</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <div class="activity-filters">
+          <select value=${scope} onChange=${(e) => { setScope(e.target.value); setColumnId(''); }}>
+            ${tid !== null ? html`<option value="table">This table</option>` : null}
+            <option value="all">All tables</option>
+          </select>
+          ${scope === 'table' ? html`
+            <select value=${columnId} onChange=${(e) => setColumnId(e.target.value)}>
+              <option value="">Any column</option>
+              ${columns.value.map(c => html`<option value=${c.id}>${c.name}</option>`)}
+            </select>
+          ` : null}
+          <select value=${range} onChange=${(e) => setRange(e.target.value)}>
+            ${ACTIVITY_RANGES.map(([v, l]) => html`<option value=${v}>${l}</option>`)}
+          </select>
+          <select value=${author} onChange=${(e) => setAuthor(e.target.value)}>
+            <option value="">Everyone</option>
+            ${(feed?.authors ?? (author ? [author] : [])).map(a => html`<option value=${a}>${a}</option>`)}
+          </select>
+          ${ACTIVITY_KINDS.map(([k, l]) => html`
+            <label class="unique-label">
+              <input type="checkbox" checked=${kinds.includes(k)} onChange=${() => toggleKind(k)} />
+              ${l}
+            </label>
+          `)}
+        </div>
+        <ol id="activity-list">
+          ${error
+            ? html`<li style="color:#dc2626;font-size:12px">${error}</li>`
+            : feed === null
+            ? html`<li style="color:#94a3b8;font-size:12px">Loading…</li>`
+            : feed.entries.length === 0
+            ? html`<li style="color:#94a3b8;font-size:12px">No activity in this range.</li>`
+            : feed.entries.map(entry => {
+                const dateObj = new Date(entry.timestamp + 'Z');
+                const descClass = 'history-desc'
+                  + (entry.kind === 'delete' ? ' sentinel' : entry.kind === 'create' ? ' new-row' : '');
+                return html`<li key=${entry.id} class="activity-entry" onClick=${() => openRow(entry)} title="Open this row's history">
+                  <span class="history-time" title=${relativeTime(dateObj)}>
+                    ${dateObj.toLocaleString()}${scope === 'all' ? ` · ${entry.table_name}` : ''}
+                  </span>
+                  <${AuthorBadge} author=${entry.author} />
+                  <span class="activity-row">${label(entry)}</span>
+                  <span class=${descClass}>${describe(entry)}</span>
+                </li>`;
+              })
+          }
+        </ol>
+        ${feed?.more ? html`<button class="btn-confirm-cancel activity-more" onClick=${loadMore}>Load older</button>` : null}
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: ViewsModal — save, rename, set default and delete saved views
+// ---------------------------------------------------------------------------
+function ViewsModal({ onClose }) {
+  const list = views.value;
+  const [newName, setNewName] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const newNameRef = useRef(null);
+
+  useEffect(() => { newNameRef.current?.focus(); }, []);
+
+  const saveAsNew = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    try {
+      const view = await API.saveView(null, name, currentViewConfig());
+      await loadViews();
+      activeViewId.value = view.id;
+      setNewName('');
+      toast(`View "${name}" saved`, 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+  const rename = async (view, name) => {
+    name = name.trim();
+    if (!name || name === view.name) return;
+    try {
+      await API.saveView(view.id, name);
+      await loadViews();
+    } catch (err) {
+      toast(err.message);
+      await loadViews();
+    }
+  };
+  const overwrite = async (view) => {
+    try {
+      await API.saveView(view.id, view.name, currentViewConfig());
+      await loadViews();
+      activeViewId.value = view.id;
+      toast(`View "${view.name}" updated`, 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+  const setDefault = async (id) => {
+    try {
+      await API.setDefaultView(id);
+      await loadViews();
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+  const remove = async (view) => {
+    try {
+      await API.deleteView(view.id);
+      setConfirmDelete(null);
+      await loadViews();
+      toast(`View "${view.name}" deleted`, 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>Saved Views — ${activeTable.value?.name}</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <p class="import-hint">A view remembers sorting, filters, and which columns are shown, in what order and how wide. The default view opens with the table.</p>
+        <ul id="col-list">
+          ${list.length === 0
+            ? html`<li style="padding:12px 0;color:#94a3b8;font-size:13px;border:none">No saved views yet.</li>`
+            : list.map(view => html`
+              <li key=${view.id}>
+                <input
+                  class="col-name-input"
+                  defaultValue=${view.name}
+                  onBlur=${(e) => rename(view, e.target.value)}
+                  onKeyDown=${(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                />
+                <label class="unique-label" title="Open this view when the table is opened">
+                  <input type="radio" name="default-view" checked=${view.is_default}
+                    onChange=${() => setDefault(view.id)} /> Default
+                </label>
+                <button class="col-action-btn" onClick=${() => { selectView(view.id); onClose(); }}>Apply</button>
+                <button class="col-action-btn" title="Replace its settings with the current layout" onClick=${() => overwrite(view)}>Overwrite</button>
+                ${confirmDelete === view.id
+                  ? html`<button class="col-action-btn danger" onClick=${() => remove(view)}>Really delete?</button>`
+                  : html`<button class="col-action-btn danger" onClick=${() => setConfirmDelete(view.id)}>Delete</button>`}
+              </li>
+            `)
+          }
+        </ul>
+        ${list.some(v => v.is_default) ? html`
+          <button class="btn-filter-add" onClick=${() => setDefault(null)}>Open this table without a default view</button>
+        ` : null}
+        <div class="add-col-row">
+          <input
+            ref=${newNameRef}
+            type="text"
+            placeholder="Save the current layout as…"
+            value=${newName}
+            onInput=${(e) => setNewName(e.target.value)}
+            onKeyDown=${(e) => { if (e.key === 'Enter') { e.preventDefault(); saveAsNew(); } }}
+          />
+          <button onClick=${saveAsNew} disabled=${!newName.trim()}>Save view</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: ImportModal — CSV import wizard (pick file → map columns → report)
+// ---------------------------------------------------------------------------
+function ImportModal({ onClose }) {
+  const tbl = activeTable.value;
+  const cols = columns.value;
+  const [step, setStep]           = useState('pick');  // 'pick' | 'map' | 'done'
+  const [fileName, setFileName]   = useState('');
+  const [records, setRecords]     = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [atomic, setAtomic]       = useState(false);  // import nothing if any row fails
+  const [target, setTarget]       = useState(tbl ? 'existing' : 'new');
+  const [newTable, setNewTable]   = useState('');
+  const [mapping, setMapping]     = useState([]);
+  const [busy, setBusy]           = useState(false);
+  const [result, setResult]       = useState(null);
+
+  const headers = records.length === 0 ? []
+    : hasHeader ? records[0].map((h, i) => h.trim() || `Column ${i + 1}`)
+    : records[0].map((_, i) => `Column ${i + 1}`);
+  const dataRecords = hasHeader ? records.slice(1) : records;
+
+  // Default mapping: same-named existing column, otherwise a new inferred column
+  const buildMapping = (hdrs, data, tgt) => hdrs.map((hdr, i) => {
+    const existing = tgt === 'existing'
+      ? cols.find(c => c.name.toLowerCase() === hdr.toLowerCase())
+      : null;
+    if (existing) return { action: 'existing', colName: existing.name, newName: hdr, newType: 'text' };
+    return { action: 'new', colName: '', newName: hdr, newType: inferColType(data.map(r => r[i])) };
+  });
+
+  useEffect(() => {
+    if (records.length > 0) setMapping(buildMapping(headers, dataRecords, target));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [records, hasHeader, target]);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const parsed = parseCsv(await file.text());
+      if (parsed.length === 0) { toast('The file is empty'); return; }
+      setFileName(file.name);
+      setNewTable(file.name.replace(/\.[^.]+$/, ''));
+      setRecords(parsed);
+      setStep('map');
+    } catch (err) {
+      toast('Could not read file: ' + err.message);
+    }
+  };
+
+  const updateMapping = (i, patch) => {
+    setMapping(mapping.map((m, j) => j === i ? { ...m, ...patch } : m));
+  };
+
+  const doImport = async () => {
+    const active = mapping.map((m, i) => ({ ...m, index: i })).filter(m => m.action !== 'skip');
+    if (active.length === 0) { toast('Map at least one column'); return; }
+    const names = active.map(m => m.action === 'existing' ? m.colName : m.newName.trim());
+    if (names.some(n => !n)) { toast('Every imported column needs a name'); return; }
+    if (new Set(names).size !== names.length) { toast('Two CSV columns map to the same column'); return; }
+
+    setBusy(true);
+    try {
+      if (target === 'new') {
+        const created = await API.addTable(newTable.trim());
+        activeRowId.value = null;
+        activeTableId.value = created.id;
+        await refresh();
+      }
+      for (const m of active) {
+        if (m.action !== 'new') continue;
+        const col_choices = m.newType === 'select'
+          ? [...new Set(dataRecords.map(r => (r[m.index] ?? '').trim()).filter(Boolean))].join(',') || null
+          : null;
+        await API.addColumn(m.newName.trim(), 0, m.newType, col_choices);
+      }
+
+      // FK columns take labels in the CSV — resolve them to row ids
+      const liveCols = columns.value;
+      const fkLookup = {};
+      for (const m of active) {
+        const colName = m.action === 'existing' ? m.colName : m.newName.trim();
+        const col = liveCols.find(c => c.name === colName);
+        if (!foreignKeys.value.some(fk => fk.from_column_id === col.id)) continue;
+        const opts = await API.getFkOptions(col.id);
+        const byLabel = new Map();
+        for (const o of opts) {
+          const key = (o.label ?? '').trim().toLowerCase();
+          if (key && !byLabel.has(key)) byLabel.set(key, o.row_id);
+        }
+        fkLookup[colName] = { ids: new Set(opts.map(o => o.row_id)), byLabel };
+      }
+
+      const rowsToImport = dataRecords.map(rec => {
+        const cells = {};
+        active.forEach((m, k) => {
+          const colName = names[k];
+          const col = liveCols.find(c => c.name === colName);
+          let value = normalizeImportValue(col.col_type || 'text', rec[m.index]);
+          const fk = fkLookup[colName];
+          if (fk && value && !fk.ids.has(value)) value = fk.byLabel.get(value.toLowerCase()) ?? value;
+          if (value) cells[colName] = value;
+        });
+        return { cells };
+      });
+
+      const res = await API.importRows(rowsToImport, atomic);
+      setResult({ ...res, total: rowsToImport.length });
+      setStep('done');
+    } catch (err) {
+      toast(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const preview = dataRecords.slice(0, 5);
+
+  return html`
+    <dialog open class="wide">
+      <div class="modal-header">
+        <h3>Import CSV${fileName ? ` — ${fileName}` : ''}</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        ${step === 'pick' ? html`
+          <p class="import-hint">Choose a CSV file. You'll be able to review the columns before anything is written.</p>
+          <input type="file" accept=".csv,.tsv,text/csv,text/tab-separated-values" onChange=${onFile} />
+        ` : null}
+
+        ${step === 'map' ? html`
+          <div class="import-options">
+            <label class="unique-label">
+              <input type="checkbox" checked=${hasHeader} onChange=${(e) => setHasHeader(e.target.checked)} /> First row is a header
+            </label>
+            <label class="unique-label" title="Otherwise rows that fail validation are skipped and reported">
+              <input type="checkbox" checked=${atomic} onChange=${(e) => setAtomic(e.target.checked)} /> Import nothing if any row fails
+            </label>
+            <label class="unique-label">
+              <input type="radio" name="import-target" checked=${target === 'existing'} disabled=${!tbl}
+                onChange=${() => setTarget('existing')} /> Into ${tbl ? `"${tbl.name}"` : 'current table'}
+            </label>
+            <label class="unique-label">
+              <input type="radio" name="import-target" checked=${target === 'new'}
+                onChange=${() => setTarget('new')} /> Into a new table
+            </label>
+            ${target === 'new' ? html`
+              <input class="col-choices-input" type="text" placeholder="Table name" value=${newTable}
+                onInput=${(e) => setNewTable(e.target.value)} />
+            ` : null}
+          </div>
+
+          <div class="import-scroll">
+            <table id="import-preview">
+              <thead>
+                <tr>${headers.map((hdr, i) => html`<th key=${i}>${hdr}</th>`)}</tr>
+                <tr class="import-mapping-row">
+                  ${headers.map((hdr, i) => {
+                    const m = mapping[i];
+                    if (!m) return html`<th key=${i}></th>`;
+                    const selectVal = m.action === 'existing' ? 'col:' + m.colName : m.action;
+                    return html`<th key=${i}>
+                      <select class="col-type-select" value=${selectVal} onChange=${(e) => {
+                        const v = e.target.value;
+                        if (v.startsWith('col:')) updateMapping(i, { action: 'existing', colName: v.slice(4) });
+                        else updateMapping(i, { action: v });
+                      }}>
+                        <option value="skip">— skip —</option>
+                        <option value="new">+ New column</option>
+                        ${target === 'existing' ? cols.map(c => html`<option key=${c.id} value=${'col:' + c.name}>${c.name}</option>`) : null}
+                      </select>
+                      ${m.action === 'new' ? html`
+                        <input class="col-choices-input" type="text" value=${m.newName}
+                          onInput=${(e) => updateMapping(i, { newName: e.target.value })} />
+                        <select class="col-type-select" value=${m.newType}
+                          onChange=${(e) => updateMapping(i, { newType: e.target.value })}>
+                          ${TYPE_OPTIONS.map(([v, l]) => html`<option key=${v} value=${v}>${l}</option>`)}
+                        </select>
+                      ` : null}
+                    </th>`;
+                  })}
+                </tr>
+              </thead>
+              <tbody>
+                ${preview.map((rec, r) => html`
+                  <tr key=${r}>${headers.map((_, i) => html`<td key=${i}>${rec[i] ?? ''}</td>`)}</tr>
+                `)}
+              </tbody>
+            </table>
+          </div>
+          <p class="import-hint">
+            ${dataRecords.length} row${dataRecords.length !== 1 ? 's' : ''} to import${preview.length < dataRecords.length ? ` (showing first ${preview.length})` : ''}.
+            Foreign key columns are matched by the label of the referenced row.
+          </p>
+          <div class="confirm-actions">
+            <button class="btn-confirm-cancel" onClick=${() => setStep('pick')} disabled=${busy}>Back</button>
+            <button class="btn-prompt-ok" onClick=${doImport} disabled=${busy || (target === 'new' && !newTable.trim())}>
+              ${busy ? 'Importing…' : 'Import'}
+            </button>
+          </div>
+        ` : null}
+
+        ${step === 'done' && result ? html`
+          <p class="import-summary">
+            Imported <strong>${result.imported}</strong> of ${result.total} row${result.total !== 1 ? 's' : ''}.
+            ${result.failures.length > 0 ? ` ${result.failures.length} row(s) were skipped:` : ''}
+          </p>
+          ${result.failures.length > 0 ? html`
+            <ul id="import-failures">
+              ${result.failures.slice(0, 200).map(f => html`
+                <li key=${f.index}><strong>Row ${f.index + (hasHeader ? 2 : 1)}:</strong> ${f.error}</li>
+              `)}
+              ${result.failures.length > 200 ? html`<li>…and ${result.failures.length - 200} more</li>` : null}
+            </ul>
+          ` : null}
+          <div class="confirm-actions">
+            <button class="btn-prompt-ok" onClick=${onClose}>Done</button>
+          </div>
+        ` : null}
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Export helpers
+// ---------------------------------------------------------------------------
+function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function xmlEscape(v) {
+  return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Build { header, records } from an export_table result
+function exportRecords(data, { includeRowId, includeDeleted }) {
+  const header = [
+    ...(includeRowId ? ['row_id'] : []),
+    ...data.columns.map(c => c.name),
+    ...(includeDeleted ? ['deleted_at'] : []),
+  ];
+  const records = data.rows.map(r => [
+    ...(includeRowId ? [r.row_id] : []),
+    ...data.columns.map(c => r.cells[c.name] ?? ''),
+    ...(includeDeleted ? [r.deleted_at ?? ''] : []),
+  ]);
+  return { header, records };
+}
+
+// SpreadsheetML 2003 — a single XML file that Excel, LibreOffice and Numbers open
+function serializeSpreadsheetXml(data, header, records, { includeRowId }) {
+  const types = [
+    ...(includeRowId ? ['text'] : []),
+    ...data.columns.map(c => c.col_type),
+  ];
+  const cell = (v, i) => {
+    const isNum = types[i] === 'number' && v !== '' && !isNaN(Number(v));
+    return `<Cell><Data ss:Type="${isNum ? 'Number' : 'String'}">${xmlEscape(v)}</Data></Cell>`;
+  };
+  const rowXml = (vals, isHeader) =>
+    `<Row>${vals.map((v, i) => isHeader ? `<Cell><Data ss:Type="String">${xmlEscape(v)}</Data></Cell>` : cell(v, i)).join('')}</Row>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Worksheet ss:Name="${xmlEscape(data.table.slice(0, 31))}">
+<Table>
+${rowXml(header, true)}
+${records.map(r => rowXml(r, false)).join('\n')}
+</Table>
+</Worksheet>
+</Workbook>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Component: ProfileModal — name and initials recorded on new events
+// ---------------------------------------------------------------------------
+function ProfileModal({ onClose }) {
+  const [name, setName]         = useState(profile.value?.name ?? '');
+  const [initials, setInitials] = useState(profile.value?.name ? profile.value.initials : '');
+  const nameRef = useRef(null);
+
+  useEffect(() => { nameRef.current?.focus(); }, []);
+
+  const save = async () => {
+    try {
+      profile.value = await API.setProfile(name, initials);
+      toast('Profile saved', 'success');
+      onClose();
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+  const onKeyDown = (e) => { if (e.key === 'Enter') save(); };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>Your Profile</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <p class="import-hint">Every change you make from now on is recorded under this name. Earlier changes keep their author.</p>
+        <div class="profile-fields">
+          <label>
+            Name
+            <input ref=${nameRef} class="col-name-input" value=${name}
+              onInput=${(e) => setName(e.target.value)} onKeyDown=${onKeyDown} />
+          </label>
+          <label>
+            Initials
+            <input class="col-name-input profile-initials" maxlength="3" placeholder="auto" value=${initials}
+              onInput=${(e) => setInitials(e.target.value)} onKeyDown=${onKeyDown} />
+          </label>
+        </div>
+        <div class="confirm-actions">
+          <button class="btn-confirm-cancel" onClick=${onClose}>Cancel</button>
+          <button class="btn-prompt-ok" onClick=${save} disabled=${!name.trim()}>Save</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: SyncModal — server URL, status, manual sync
+// ---------------------------------------------------------------------------
+function SyncModal({ onClose }) {
+  const status = syncStatus.value;
+  const [url, setUrl]   = useState(status?.url ?? '');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    API.getSyncStatus().then(s => {
+      syncStatus.value = s;
+      setUrl(s.url ?? '');
+    }).catch(err => toast(err.message));
+  }, []);
+
+  const save = async (value) => {
+    setBusy(true);
+    try {
+      syncStatus.value = await API.configureSync(value);
+      setUrl(value);
+      toast(value ? 'Sync server saved' : 'Sync turned off', 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+    setBusy(false);
+  };
+
+  const syncNow = async () => {
+    setBusy(true);
+    try {
+      const { pushed, pulled } = await API.syncNow();
+      toast(`Sent ${pushed}, received ${pulled} event${pulled !== 1 ? 's' : ''}`, 'success');
+    } catch (err) {
+      toast(err.message);
+    }
+    syncStatus.value = await API.getSyncStatus();
+    setBusy(false);
+  };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>Sync</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <p class="import-hint">
+          Share this database with other devices through a logpad sync server
+          (run <code>node server/sync-server.mjs</code> for a local one). Leave empty to keep everything in this browser.
+        </p>
+        <div class="sync-url-row">
+          <input
+            type="url"
+            class="col-name-input"
+            placeholder="http://localhost:8787"
+            value=${url}
+            onInput=${(e) => setUrl(e.target.value)}
+            onKeyDown=${(e) => { if (e.key === 'Enter') save(url.trim()); }}
+          />
+          <button class="btn-prompt-ok" onClick=${() => save(url.trim())} disabled=${busy}>Save</button>
+        </div>
+        ${status ? html`
+          <dl class="sync-status">
+            <dt>Status</dt>
+            <dd>${!status.url ? 'Off' : status.running ? 'Syncing…' : status.last_error ? `Error: ${status.last_error}` : 'Connected'}</dd>
+            <dt>Last sync</dt>
+            <dd>${status.last_sync_at ? new Date(status.last_sync_at).toLocaleString() : 'Never'}</dd>
+            <dt>Waiting to send</dt>
+            <dd>${status.pending} event${status.pending !== 1 ? 's' : ''}</dd>
+            <dt>Device</dt>
+            <dd><code>${status.device_id}</code></dd>
+          </dl>
+        ` : null}
+        <div class="confirm-actions">
+          ${status?.url ? html`<button class="btn-confirm-cancel" onClick=${() => save('')} disabled=${busy}>Turn off</button>` : null}
+          <button class="btn-prompt-ok" onClick=${syncNow} disabled=${busy || !status?.url}>Sync now</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: MaintenanceModal — storage per table, compaction settings and
+// runs, rebuilding the current state from the log
+// ---------------------------------------------------------------------------
+function MaintenanceModal({ onClose }) {
+  const [report, setReport] = useState(null);
+  const [form, setForm]     = useState(null);
+  const [busy, setBusy]     = useState(false);
+
+  const load = async () => {
+    try {
+      const r = await API.getStorageReport();
+      setReport(r);
+      setForm({ ...r.settings });
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  const set = (key, value) => setForm({ ...form, [key]: value });
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      toast(err.message);
+    }
+    setBusy(false);
+  };
+
+  const saveSettings = () => run(async () => {
+    await API.setCompactionSettings(form);
+    toast('Compaction settings saved', 'success');
+    await load();
+  });
+
+  // Runs with the settings as shown, so they are saved first
+  const compactNow = () => run(async () => {
+    await API.setCompactionSettings(form);
+    const { collapsed, snapshots } = await API.compactLog();
+    toast(`Merged ${collapsed} edit${collapsed !== 1 ? 's' : ''}, took ${snapshots} snapshot${snapshots !== 1 ? 's' : ''}`, 'success');
+    await load();
+  });
+
+  const rebuild = () => run(async () => {
+    const { rows } = await API.rebuildCurrentState();
+    toast(`Current state rebuilt from the log (${rows} row${rows !== 1 ? 's' : ''})`, 'success');
+    await load();
+  });
+
+  const totals = (report?.tables ?? []).reduce((t, r) => ({
+    events: t.events + r.events,
+    bytes: t.bytes + r.event_bytes,
+    snapshot_bytes: t.snapshot_bytes + r.snapshot_bytes,
+    collapsible: t.collapsible + r.collapsible,
+  }), { events: 0, bytes: 0, snapshot_bytes: 0, collapsible: 0 });
+
+  return html`
+    <dialog open class="wide">
+      <div class="modal-header">
+        <h3>Maintenance</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <p class="import-hint">
+          Compaction is optional. It merges bursts of edits to one cell, such as notes saved while typing,
+          into their final value, and snapshots each table's rows so looking at the past stays quick.
+          Merged edits are gone from this device's history. Edits already on the sync server are never merged.
+        </p>
+        ${report === null ? html`<p style="color:#94a3b8;font-size:13px">Loading…</p>` : html`
+          <table id="storage-report">
+            <thead>
+              <tr>
+                <th>Table</th>
+                <th>Rows</th>
+                <th>Events</th>
+                <th>Size</th>
+                <th>Snapshots</th>
+                <th>Mergeable</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${report.tables.map(t => html`
+                <tr key=${t.table_id} class=${t.deleted ? 'storage-deleted' : ''}>
+                  <td>${t.name}${t.deleted ? ' (deleted)' : ''}</td>
+                  <td>${t.rows}</td>
+                  <td title=${`${t.schema_events} schema change${t.schema_events !== 1 ? 's' : ''}`}>${t.events}</td>
+                  <td>${formatBytes(t.event_bytes)}</td>
+                  <td title=${t.last_snapshot_at ? `Last taken ${new Date(t.last_snapshot_at + 'Z').toLocaleString()}` : ''}>
+                    ${t.snapshots ? `${t.snapshots} (${formatBytes(t.snapshot_bytes)})` : '—'}
+                  </td>
+                  <td>${t.collapsible || '—'}</td>
+                </tr>
+              `)}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td>All tables</td>
+                <td></td>
+                <td>${totals.events}</td>
+                <td>${formatBytes(totals.bytes)}</td>
+                <td>${totals.snapshot_bytes ? formatBytes(totals.snapshot_bytes) : '—'}</td>
+                <td>${totals.collapsible || '—'}</td>
+              </tr>
+            </tfoot>
+          </table>
+          <p class="storage-summary">
+            Database file ${formatBytes(report.database_bytes)}, of which ${formatBytes(report.free_bytes)} free for reuse.
+            Sizes per table are estimates. Last compacted: ${report.last_run ? new Date(report.last_run).toLocaleString() : 'never'}.
+            ${report.last_error ? ` The last automatic run failed: ${report.last_error}` : ''}
+          </p>
+          <div class="export-options compaction-settings">
+            <label class="unique-label">
+              <input type="checkbox" checked=${form.collapse_sessions} onChange=${(e) => set('collapse_sessions', e.target.checked)} />
+              Merge edits of a cell by the same person less than
+              <input type="number" min="1" value=${form.session_gap_seconds}
+                onInput=${(e) => set('session_gap_seconds', Number(e.target.value))} />
+              seconds apart
+            </label>
+            <label class="unique-label">
+              Snapshot a table after every
+              <input type="number" min="0" value=${form.snapshot_every}
+                onInput=${(e) => set('snapshot_every', Number(e.target.value))} />
+              new events (0 for no snapshots)
+            </label>
+            <label class="unique-label">
+              <input type="checkbox" checked=${form.auto} onChange=${(e) => set('auto', e.target.checked)} />
+              Compact automatically every hour while logpad is open
+            </label>
+          </div>
+        `}
+        <div class="confirm-actions">
+          <button class="btn-confirm-cancel" onClick=${rebuild} disabled=${busy}
+            title="Recompute every row's current values from the event log">Rebuild current state</button>
+          <button class="btn-confirm-cancel" onClick=${saveSettings} disabled=${busy || !form}>Save settings</button>
+          <button class="btn-prompt-ok" onClick=${compactNow} disabled=${busy || !form}>${busy ? 'Working…' : 'Compact now'}</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: ExportModal
+// ---------------------------------------------------------------------------
+function ExportModal({ onClose }) {
+  const tbl = activeTable.value;
+  const [format, setFormat]                 = useState('csv');
+  const [resolveFk, setResolveFk]           = useState(true);
+  const [includeDeleted, setIncludeDeleted] = useState(false);
+  const [includeRowId, setIncludeRowId]     = useState(false);
+  const [busy, setBusy]                     = useState(false);
+
+  const doExport = async () => {
+    setBusy(true);
+    try {
+      const data = await API.exportTable(resolveFk, includeDeleted);
+      const opts = { includeRowId, includeDeleted };
+      const base = data.table.replace(/[\\/:*?"<>|]+/g, '_') || 'export';
+      if (format === 'json') {
+        const objs = data.rows.map(r => ({
+          ...(includeRowId ? { row_id: r.row_id } : {}),
+          ...Object.fromEntries(data.columns.map(c => [c.name, r.cells[c.name] ?? null])),
+          ...(includeDeleted ? { deleted_at: r.deleted_at } : {}),
+        }));
+        downloadFile(`${base}.json`, JSON.stringify(objs, null, 2), 'application/json');
+      } else {
+        const { header, records } = exportRecords(data, opts);
+        if (format === 'xls') {
+          downloadFile(`${base}.xls`, serializeSpreadsheetXml(data, header, records, opts), 'application/vnd.ms-excel');
+        } else {
+          // BOM so Excel picks up UTF-8
+          downloadFile(`${base}.csv`, '\ufeff' + serializeCsv([header, ...records]), 'text/csv;charset=utf-8');
+        }
+      }
+      toast(`Exported ${data.rows.length} row${data.rows.length !== 1 ? 's' : ''}`, 'success');
+      onClose();
+    } catch (err) {
+      toast(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>Export${tbl ? ` — ${tbl.name}` : ''}</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <div class="export-options">
+          <label>Format</label>
+          <select class="add-col-type" value=${format} onChange=${(e) => setFormat(e.target.value)}>
+            <option value="csv">CSV (.csv)</option>
+            <option value="json">JSON (.json)</option>
+            <option value="xls">Spreadsheet (.xls, Excel / LibreOffice)</option>
+          </select>
+          <label class="unique-label">
+            <input type="checkbox" checked=${resolveFk} onChange=${(e) => setResolveFk(e.target.checked)} />
+            Write foreign keys as labels instead of row ids
+          </label>
+          <label class="unique-label">
+            <input type="checkbox" checked=${includeDeleted} onChange=${(e) => setIncludeDeleted(e.target.checked)} />
+            Include deleted rows (adds a deleted_at column)
+          </label>
+          <label class="unique-label">
+            <input type="checkbox" checked=${includeRowId} onChange=${(e) => setIncludeRowId(e.target.checked)} />
+            Include row ids
+          </label>
+        </div>
+        <div class="confirm-actions">
+          <button class="btn-confirm-cancel" onClick=${onClose}>Cancel</button>
+          <button class="btn-prompt-ok" onClick=${doExport} disabled=${busy}>${busy ? 'Exporting…' : 'Export'}</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: RestoreModal — load a backup file, replace or merge
+// ---------------------------------------------------------------------------
+function RestoreModal({ onClose }) {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode]     = useState('merge');
+  const [busy, setBusy]     = useState(false);
+  const [merged, setMerged] = useState(null);   // events-mode result with conflicts
+  const [resolved, setResolved] = useState({}); // conflict index -> true
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (parsed?.format !== 'logpad-backup') throw new Error('not a logpad backup');
+      setBackup(parsed);
+      setFileName(file.name);
+    } catch (err) {
+      setBackup(null);
+      toast('Could not read backup: ' + err.message);
+    }
+  };
+
+  const doRestore = async () => {
+    if (!backup) return;
+    setBusy(true);
+    try {
+      const result = await API.restoreBackup(backup, mode);
+      batch(() => {
+        activeRowId.value = null;
+        expandedRowId.value = null;
+        if (mode === 'replace') activeTableId.value = null;
+      });
+      // The ids of a replaced database say nothing about the old selection
+      if (mode === 'replace') await refresh();
+      if (mode === 'events') {
+        toast(`Merged ${result.events_added} event${result.events_added !== 1 ? 's' : ''}`
+          + (result.conflicts.length ? `, ${result.conflicts.length} conflict${result.conflicts.length !== 1 ? 's' : ''}` : ''), 'success');
+        if (result.conflicts.length > 0) {
+          setMerged(result);
+          setBusy(false);
+          return;
+        }
+      } else {
+        toast(mode === 'replace'
+          ? `Database restored (${result.tables} table${result.tables !== 1 ? 's' : ''})`
+          : `Added ${result.tables} table${result.tables !== 1 ? 's' : ''} from backup`, 'success');
+      }
+      modalState.value = null;
+    } catch (err) {
+      toast(err.message);
+      setBusy(false);
+    }
+  };
+
+  // The losing side of a conflict is written again as a new edit
+  const useOther = async (i) => {
+    const c = merged.conflicts[i];
+    const value = c.kept === 'incoming' ? c.local_value : c.incoming_value;
+    try {
+      await API.updateRowIn(c.table_id, c.row_id, { [c.column_name]: value ?? '' });
+      setResolved(prev => ({ ...prev, [i]: true }));
+    } catch (err) {
+      toast(err.message);
+    }
+  };
+
+  if (merged) {
+    return html`
+      <dialog open class="wide">
+        <div class="modal-header">
+          <h3>Merge Conflicts</h3>
+          <button class="modal-close" onClick=${onClose}>×</button>
+        </div>
+        <div class="modal-body">
+          <p class="import-hint">
+            These cells were changed on both sides since the last shared edit. The later change was kept;
+            choose the other value where it should win instead.
+          </p>
+          <div class="import-scroll">
+            <table id="merge-conflicts">
+              <thead>
+                <tr><th>Table</th><th>Column</th><th>Row</th><th>Kept</th><th>Other</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${merged.conflicts.map((c, i) => {
+                  const kept  = c.kept === 'incoming' ? c.incoming_value : c.local_value;
+                  const other = c.kept === 'incoming' ? c.local_value : c.incoming_value;
+                  return html`
+                    <tr key=${c.table_id + c.row_id + c.column_id}>
+                      <td>${c.table_name}</td>
+                      <td>${c.column_name}</td>
+                      <td title=${c.row_id}>${c.row_id.slice(0, 8)}</td>
+                      <td>${kept || html`<em class="conflict-empty">empty</em>`} <small>(${c.kept === 'incoming' ? 'backup' : 'this database'}, ${c.kept === 'incoming' ? c.incoming_author : c.local_author})</small></td>
+                      <td>${other || html`<em class="conflict-empty">empty</em>`} <small>(${c.kept === 'incoming' ? c.local_author : c.incoming_author})</small></td>
+                      <td>
+                        ${resolved[i]
+                          ? html`<span class="conflict-resolved">Applied</span>`
+                          : html`<button class="btn-conflict-use" onClick=${() => useOther(i)}>Use this</button>`}
+                      </td>
+                    </tr>
+                  `;
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div class="confirm-actions">
+            <button class="btn-prompt-ok" onClick=${onClose}>Done</button>
+          </div>
+        </div>
+      </dialog>
+    `;
+  }
+
+  const tableCount = backup ? (backup.tables?.tables?.rows ?? []).filter(t => !t.deleted_at).length : 0;
+  const eventCount = backup ? (backup.tables?.cell_history?.rows ?? []).length : 0;
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>Restore from Backup</h3>
+        <button class="modal-close" onClick=${onClose}>×</button>
+      </div>
+      <div class="modal-body">
+        <input type="file" accept=".json,application/json" onChange=${onFile} />
+        ${backup ? html`
+          <p class="import-hint">
+            ${fileName}: ${tableCount} table${tableCount !== 1 ? 's' : ''}, ${eventCount} cell event${eventCount !== 1 ? 's' : ''}
+            ${backup.created_at ? `, taken ${new Date(backup.created_at).toLocaleString()}` : ''}.
+          </p>
+          <div class="export-options">
+            <label class="unique-label">
+              <input type="radio" name="restore-mode" checked=${mode === 'merge'} onChange=${() => setMode('merge')} />
+              Add the backup's tables alongside the current ones
+            </label>
+            <label class="unique-label">
+              <input type="radio" name="restore-mode" checked=${mode === 'events'} onChange=${() => setMode('events')} />
+              Merge its changes into tables with the same name (combine event logs)
+            </label>
+            <label class="unique-label">
+              <input type="radio" name="restore-mode" checked=${mode === 'replace'} onChange=${() => setMode('replace')} />
+              Replace the whole database with the backup
+            </label>
+          </div>
+          ${mode === 'replace' ? html`
+            <p class="restore-warning">
+              Every current table and its history will be discarded. Download a backup first if you may need them.
+            </p>
+          ` : null}
+        ` : null}
+        <div class="confirm-actions">
+          <button class="btn-confirm-cancel" onClick=${onClose}>Cancel</button>
+          <button
+            class=${mode === 'replace' ? 'btn-confirm-delete' : 'btn-prompt-ok'}
+            onClick=${doRestore}
+            disabled=${!backup || busy}
+          >${busy ? 'Restoring…' : 'Restore'}</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: PromptModal
+// ---------------------------------------------------------------------------
+function PromptModal({ title, label, defaultValue, resolve, onClose }) {
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const el = inputRef.current;
+    if (el) { el.focus(); el.select(); }
+  }, []);
+
+  const submit = () => {
+    const val = inputRef.current?.value.trim() || null;
+    onClose();
+    resolve(val);
+  };
+  const cancel = () => { onClose(); resolve(null); };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>${title}</h3>
+        <button class="modal-close" onClick=${cancel}>×</button>
+      </div>
+      <div class="modal-body" style="padding:20px">
+        <label style="display:block;font-size:13px;color:#475569;margin-bottom:6px">${label}</label>
+        <input
+          ref=${inputRef}
+          type="text"
+          style="width:100%;padding:7px 10px;border:1px solid #e2e8f0;border-radius:4px;font-size:14px"
+          defaultValue=${defaultValue}
+          onKeyDown=${(e) => {
+            if (e.key === 'Enter') { e.preventDefault(); submit(); }
+            if (e.key === 'Escape') { e.preventDefault(); cancel(); }
+          }}
+        />
+        <div class="prompt-actions" style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px">
+          <button class="btn-prompt-cancel" onClick=${cancel}>Cancel</button>
+          <button class="btn-prompt-ok" onClick=${submit}>OK</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: GeneralConfirmModal
+// ---------------------------------------------------------------------------
+function GeneralConfirmModal({ title, message, confirmLabel, danger, resolve, onClose }) {
+  const confirm = () => { onClose(); resolve(true); };
+  const cancel  = () => { onClose(); resolve(false); };
+
+  return html`
+    <dialog open>
+      <div class="modal-header">
+        <h3>${title}</h3>
+        <button class="modal-close" onClick=${cancel}>×</button>
+      </div>
+      <div class="modal-body" style="padding:20px">
+        <p style="color:#475569;font-size:14px">${message}</p>
+        <div class="confirm-actions">
+          <button class="btn-confirm-cancel" onClick=${cancel}>Cancel</button>
+          <button
+            class="btn-confirm-delete"
+            style=${danger ? '' : 'background:#3b82f6;border-color:#2563eb'}
+            onClick=${confirm}
+          >${confirmLabel}</button>
+        </div>
+      </div>
+    </dialog>
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Component: ModalLayer — renders whichever modal is active
+// ---------------------------------------------------------------------------
+function ModalLayer() {
+  const ms = modalState.value;
+  if (!ms) return null;
+
+  const onClose = () => { modalState.value = null; };
+
+  if (ms.type === 'cols')    return html`<${ColManageModal} onClose=${onClose} />`;
+  if (ms.type === 'rels')    return html`<${RelationshipsModal} onClose=${onClose} />`;
+  if (ms.type === 'confirm') return html`<${ConfirmDeleteRowModal} rowId=${ms.rowId} onClose=${onClose} />`;
+  if (ms.type === 'trash')   return html`<${TrashModal} onClose=${onClose} />`;
+  if (ms.type === 'schema-history') return html`<${SchemaHistoryModal} onClose=${onClose} />`;
+  if (ms.type === 'import')  return html`<${ImportModal} onClose=${onClose} />`;
+  if (ms.type === 'export')  return html`<${ExportModal} onClose=${onClose} />`;
+  if (ms.type === 'restore') return html`<${RestoreModal} onClose=${onClose} />`;
+  if (ms.type === 'sync')    return html`<${SyncModal} onClose=${onClose} />`;
+  if (ms.type === 'maintenance') return html`<${MaintenanceModal} onClose=${onClose} />`;
+  if (ms.type === 'profile') return html`<${ProfileModal} onClose=${onClose} />`;
+  if (ms.type === 'activity') return html`<${ActivityModal} scope=${ms.scope ?? 'table'} onClose=${onClose} />`;
+  if (ms.type === 'views')   return html`<${ViewsModal} onClose=${onClose} />`;
+  if (ms.type === 'new-row') return html`<${NewRowModal} onClose=${onClose} />`;
+  if (ms.type === 'prompt')  return html`<${PromptModal} ...${{...ms, onClose}} />`;
+  if (ms.type === 'general-confirm') return html`<${GeneralConfirmModal} ...${{...ms, onClose}} />`;
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Component: Toolbar
+// ---------------------------------------------------------------------------
+function Toolbar() {
+  const tbl = activeTable.value;
+  const disabled = !tbl;
+  const cols = columns.value;
+  const ts = asOf.value;
+  const readOnly = ts !== null;
+
+  const handleAsOfChange = (e) => {
+    const val = e.target.value ? localInputToDbTimestamp(e.target.value) : null;
+    setAsOf(val);
+  };
+
+  const handleAddRow = async () => {
+    if (disabled || readOnly) return;
+    // Required columns without a default have to be filled in up front
+    if (cols.some(c => c.is_required && c.default_value === null)) {
+      modalState.value = { type: 'new-row' };
+      return;
+    }
+    try {
+      const { row_id } = await API.addRow({});
       toast('Row added', 'success');
-      // Auto-focus first editable cell of last row
+      // Keep the new, still empty row visible under an active filter or search
+      if (!await revealRow(row_id, rowsNarrowed())) return;
+      // Auto-focus its first editable cell
       requestAnimationFrame(() => {
-        const tbody = document.querySelector('#main-table tbody');
-        if (!tbody) return;
-        const lastTr = tbody.querySelector('tr:last-child');
-        if (!lastTr) return;
-        const firstCell = lastTr.querySelector('td.cell-editable, td.cell-fk');
+        const tr = document.querySelector(`#main-table tbody > tr[data-row-id="${row_id}"]`);
+        const firstCell = tr?.querySelector('td.cell-editable, td.cell-fk');
         if (firstCell) firstCell.click();
       });
     } catch (err) {
@@ -1450,19 +3956,84 @@ function Toolbar() {
       </span>
       <button
         class="toolbar-btn primary"
-        disabled=${disabled}
+        disabled=${disabled || readOnly}
         onClick=${handleAddRow}
       >+ Add Row</button>
       <button
         class="toolbar-btn"
-        disabled=${disabled}
+        title="Undo (Ctrl+Z)"
+        disabled=${readOnly}
+        onClick=${() => runUndo('undo')}
+      >↶</button>
+      <button
+        class="toolbar-btn"
+        title="Redo (Ctrl+Shift+Z)"
+        disabled=${readOnly}
+        onClick=${() => runUndo('redo')}
+      >↷</button>
+      <button
+        class="toolbar-btn"
+        disabled=${disabled || readOnly}
         onClick=${() => { if (!disabled) modalState.value = { type: 'cols' }; }}
       >Manage Columns</button>
       <button
         class="toolbar-btn"
-        disabled=${disabled}
+        disabled=${disabled || readOnly}
         onClick=${() => { if (!disabled) modalState.value = { type: 'rels' }; }}
       >Relationships</button>
+      <button
+        class="toolbar-btn"
+        disabled=${disabled || readOnly}
+        onClick=${() => { if (!disabled) modalState.value = { type: 'trash' }; }}
+      >Trash</button>
+      <button
+        class="toolbar-btn"
+        disabled=${disabled}
+        onClick=${() => { if (!disabled) modalState.value = { type: 'schema-history' }; }}
+      >Schema History</button>
+      <button
+        class="toolbar-btn"
+        onClick=${() => { modalState.value = { type: 'activity', scope: disabled ? 'all' : 'table' }; }}
+      >Activity</button>
+      <button
+        class="toolbar-btn"
+        disabled=${readOnly}
+        onClick=${() => { if (!readOnly) modalState.value = { type: 'import' }; }}
+      >Import CSV</button>
+      <button
+        class="toolbar-btn"
+        disabled=${disabled || readOnly}
+        onClick=${() => { if (!disabled) modalState.value = { type: 'export' }; }}
+      >Export</button>
+      <span class="view-picker" title="Saved sort, filters and column layout for this table">
+        View
+        <select
+          disabled=${disabled}
+          value=${activeViewId.value ?? ''}
+          onChange=${(e) => selectView(e.target.value ? Number(e.target.value) : null)}
+        >
+          <option value="">(none)</option>
+          ${views.value.map(v => html`<option key=${v.id} value=${v.id}>${v.name}${v.is_default ? ' ★' : ''}</option>`)}
+        </select>
+        ${viewDirty.value ? html`
+          <button class="toolbar-btn" title="Save the current layout into this view" onClick=${saveActiveView}>Save</button>
+        ` : null}
+        <button
+          class="toolbar-btn"
+          disabled=${disabled}
+          onClick=${() => { if (!disabled) modalState.value = { type: 'views' }; }}
+        >Views…</button>
+      </span>
+      <label class=${'as-of-picker' + (readOnly ? ' active' : '')} title="Show the table as it looked at this moment">
+        As of
+        <input
+          type="datetime-local"
+          step="1"
+          disabled=${disabled}
+          value=${ts ? dbTimestampToLocalInput(ts) : ''}
+          onChange=${handleAsOfChange}
+        />
+      </label>
     </div>
   `;
 }
@@ -1478,7 +4049,7 @@ function App() {
   if (!ready || err) {
     return html`
       <div style="position:fixed;inset:0;background:#1e293b;color:#94a3b8;display:flex;align-items:center;justify-content:center;font-size:18px;z-index:99999">
-        ${err ?? 'Loading database…'}
+        ${err ?? (dbBusy.value ? 'Waiting for another logpad tab to release the database…' : 'Loading database…')}
       </div>
     `;
   }
@@ -1495,6 +4066,7 @@ function App() {
       </div>
     </div>
     <${ModalLayer} />
+    ${dbBusy.value ? html`<div id="busy-banner">Waiting for the database — another logpad tab may be using it…</div>` : null}
   `;
 }
 
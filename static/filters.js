@@ -0,0 +1,17 @@
+// ---------------------------------------------------------------------------
+// Filter operators — shared by the page, which offers them per column, and
+// the worker, which validates conditions against them before building SQL
+// ---------------------------------------------------------------------------
+export const FILTER_OPS = {
+  text:     ['contains', 'not_contains', 'equals', 'not_equals', 'starts_with', 'ends_with'],
+  number:   ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'between'],
+  boolean:  ['is_true', 'is_false'],
+  date:     ['on', 'before', 'after', 'between'],
+  datetime: ['on', 'before', 'after', 'between'],
+  select:   ['any_of', 'none_of'],
+  fk:       ['points_to', 'not_points_to'],
+};
+FILTER_OPS.url = FILTER_OPS.markdown = FILTER_OPS.text;
+
+// Apply to every kind of column
+export const FILTER_EMPTY_OPS = ['is_empty', 'is_not_empty'];
@@ -1,6 +1,7 @@
 import SQLiteESMFactory from 'https://cdn.jsdelivr.net/gh/rhashimoto/wa-sqlite@v1.0.0/dist/wa-sqlite-async.mjs';
 import { OPFSCoopSyncVFS } from 'https://cdn.jsdelivr.net/gh/rhashimoto/wa-sqlite@v1.0.0/src/examples/OPFSCoopSyncVFS.js';
 import * as SQLite from 'https://cdn.jsdelivr.net/gh/rhashimoto/wa-sqlite@v1.0.0/src/sqlite-api.js';
+import { FILTER_OPS, FILTER_EMPTY_OPS } from './filters.js';
 
 let sqlite3, db;
 
@@ -32,6 +33,75 @@ async function run(sql, bind = []) {
   return id;
 }
 
+// ---------------------------------------------------------------------------
+// SQL functions, registered once per connection before init_db:
+//   fold_case(text)  lower-cases the way the page does, so text filters and
+//                    search match non-ASCII letters too (SQLite's lower() is
+//                    ASCII only)
+//   sort_key(text)   orders text like the page's collator did: accents and
+//                    case ignored, runs of digits compared as numbers
+// ---------------------------------------------------------------------------
+function _text_sort_key(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .replace(/\d+/g, (digits) => digits.replace(/^0+(?=\d)/, '').padStart(20, '0'));
+}
+
+function _register_sql_functions() {
+  const textFunction = (name, fn) => sqlite3.create_function(
+    db, name, 1, SQLite.SQLITE_UTF8 | SQLite.SQLITE_DETERMINISTIC, 0,
+    (context, values) => {
+      const v = sqlite3.value(values[0]);
+      sqlite3.result(context, v === null ? null : fn(String(v)));
+    }
+  );
+  textFunction('fold_case', (text) => text.toLowerCase());
+  textFunction('sort_key', _text_sort_key);
+}
+
+// ---------------------------------------------------------------------------
+// Transactions — the outermost level takes the write lock up front (BEGIN
+// IMMEDIATE) so validation reads and the writes after them see the same
+// data; nested levels are savepoints, so a handler calling other handlers
+// can still roll back just its own part.
+// ---------------------------------------------------------------------------
+const _txUndoMarks = [];
+
+async function _begin() {
+  const depth = _txUndoMarks.length;
+  await exec(depth === 0 ? 'BEGIN IMMEDIATE' : `SAVEPOINT sp${depth}`);
+  _txUndoMarks.push(_pendingUndo.length);
+}
+
+async function _commit() {
+  const depth = _txUndoMarks.length - 1;
+  await exec(depth === 0 ? 'COMMIT' : `RELEASE sp${depth}`);
+  _txUndoMarks.pop();
+  if (depth === 0) _flush_pending_undo();
+}
+
+async function _rollback() {
+  const depth = _txUndoMarks.length - 1;
+  if (depth === 0) {
+    await exec('ROLLBACK');
+  } else {
+    await exec(`ROLLBACK TO sp${depth}`);
+    await exec(`RELEASE sp${depth}`);
+  }
+  _pendingUndo.length = _txUndoMarks.pop();
+}
+
+async function _transaction(fn) {
+  await _begin();
+  try {
+    const result = await fn();
+    await _commit();
+    return result;
+  } catch (e) {
+    await _rollback();
+    throw e;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Schema init + migration
 // ---------------------------------------------------------------------------
@@ -57,6 +127,7 @@ async function init_db() {
   }
   // else: already migrated — run incremental migrations
   await _run_incremental_migrations();
+  await _ensure_sync_device_id();
 }
 
 // Add new columns to existing schemas without breaking old data
@@ -75,6 +146,152 @@ async function _run_incremental_migrations() {
   if (colChoicesMissing[0].cnt === 0) {
     await exec(`ALTER TABLE columns ADD COLUMN col_choices TEXT`);
   }
+  // Migration: add schema_history, seeded with what the registries still know
+  const schemaHistoryMissing = await exec(
+    `SELECT COUNT(*) AS cnt FROM sqlite_master WHERE type='table' AND name='schema_history'`
+  );
+  if (schemaHistoryMissing[0].cnt === 0) {
+    await exec(`
+    CREATE TABLE IF NOT EXISTS schema_history (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id    INTEGER NOT NULL REFERENCES tables(id),
+      column_id   INTEGER REFERENCES columns(id),
+      action      TEXT    NOT NULL,
+      old_value   TEXT,
+      new_value   TEXT,
+      timestamp   TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now'))
+    )
+    `);
+    await _backfill_schema_history();
+  }
+  await exec(`CREATE INDEX IF NOT EXISTS idx_schema_table      ON schema_history(table_id, id)`);
+  // Migration: sync — stable uids for tables/columns, server sequence on events
+  for (const [table, column, type] of [
+    ['tables', 'uid', 'TEXT'],
+    ['columns', 'uid', 'TEXT'],
+    ['cell_history', 'sync_seq', 'INTEGER'],
+    ['schema_history', 'sync_seq', 'INTEGER'],
+  ]) {
+    const [{ cnt }] = await exec(
+      `SELECT COUNT(*) AS cnt FROM pragma_table_info('${table}') WHERE name='${column}'`
+    );
+    if (cnt === 0) await exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+  await exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)`);
+  // Migration: author on every event; whoever made the older ones is unknown
+  for (const table of ['cell_history', 'schema_history']) {
+    const [{ cnt }] = await exec(
+      `SELECT COUNT(*) AS cnt FROM pragma_table_info('${table}') WHERE name='author'`
+    );
+    if (cnt === 0) {
+      await exec(`ALTER TABLE ${table} ADD COLUMN author TEXT`);
+      await exec(`UPDATE ${table} SET author = 'unknown' WHERE author IS NULL`);
+    }
+  }
+  // Migration: column constraints beyond is_unique
+  for (const [column, type] of [
+    ['is_required', 'INTEGER NOT NULL DEFAULT 0'],
+    ['default_value', 'TEXT'],
+    ['rules', 'TEXT'],
+  ]) {
+    const [{ cnt }] = await exec(
+      `SELECT COUNT(*) AS cnt FROM pragma_table_info('columns') WHERE name='${column}'`
+    );
+    if (cnt === 0) await exec(`ALTER TABLE columns ADD COLUMN ${column} ${type}`);
+  }
+  // Migration: saved views per table
+  await exec(`
+    CREATE TABLE IF NOT EXISTS views (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id    INTEGER NOT NULL REFERENCES tables(id),
+      name        TEXT    NOT NULL,
+      config      TEXT    NOT NULL,
+      is_default  INTEGER NOT NULL DEFAULT 0,
+      created_at  TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      updated_at  TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      UNIQUE(table_id, name)
+    )
+  `);
+  // Migration: unique constraints over several columns
+  await exec(`
+    CREATE TABLE IF NOT EXISTS unique_constraints (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id    INTEGER NOT NULL REFERENCES tables(id),
+      column_ids  TEXT    NOT NULL,
+      created_at  TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      deleted_at  TEXT
+    )
+  `);
+  // Migration: current-state projection, filled from the log once
+  const [{ cnt: hasProjection }] = await exec(
+    `SELECT COUNT(*) AS cnt FROM sqlite_master WHERE type='table' AND name='current_cells'`
+  );
+  await _create_projection();
+  if (hasProjection === 0) await _rebuild_projection();
+  // Migration: row snapshots, taken by compaction
+  await _create_snapshot_tables();
+  // Every column the indexes cover exists by now
+  await _create_indexes();
+  await _ensure_uids();
+}
+
+// Tables and columns get a uid so devices can refer to them across sync;
+// rows created by older code paths or restores are filled in here
+async function _ensure_uids() {
+  for (const table of ['tables', 'columns']) {
+    for (const { id } of await exec(`SELECT id FROM ${table} WHERE uid IS NULL`)) {
+      await exec(`UPDATE ${table} SET uid = ? WHERE id = ?`, [crypto.randomUUID(), id]);
+    }
+  }
+}
+
+// Helpers: key-value settings stored alongside the data
+async function _get_setting(key, fallback = null) {
+  const [row] = await exec(`SELECT value FROM settings WHERE key = ?`, [key]);
+  return row ? row.value : fallback;
+}
+
+async function _set_setting(key, value) {
+  if (value === null || value === undefined) {
+    await exec(`DELETE FROM settings WHERE key = ?`, [key]);
+  } else {
+    await exec(`INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)`, [key, String(value)]);
+  }
+}
+
+// Author stamped on new events — read each time so a profile change made in
+// another tab applies here too
+async function _author() {
+  return _get_setting('profile_name', 'unknown');
+}
+
+// Seed schema_history for databases created before it existed. Renames and
+// type changes made back then are lost; creations and deletions are not.
+async function _backfill_schema_history() {
+  await exec(`
+    INSERT INTO schema_history (table_id, column_id, action, old_value, new_value, timestamp)
+    SELECT table_id, column_id, action, old_value, new_value, timestamp FROM (
+      SELECT id AS table_id, NULL AS column_id, 'table_created' AS action,
+             NULL AS old_value, name AS new_value, created_at AS timestamp
+      FROM tables
+      UNION ALL
+      SELECT table_id, id, 'column_created', NULL, name, created_at FROM columns
+      UNION ALL
+      SELECT c.table_id, fk.from_column_id, 'fk_created', NULL, CAST(fk.to_table_id AS TEXT), fk.created_at
+      FROM foreign_keys fk JOIN columns c ON c.id = fk.from_column_id
+      UNION ALL
+      SELECT c.table_id, fk.from_column_id, 'fk_deleted', CAST(fk.to_table_id AS TEXT), NULL, fk.deleted_at
+      FROM foreign_keys fk JOIN columns c ON c.id = fk.from_column_id
+      WHERE fk.deleted_at IS NOT NULL
+      UNION ALL
+      SELECT table_id, id, 'column_deleted', name, NULL, deleted_at FROM columns
+      WHERE deleted_at IS NOT NULL
+      UNION ALL
+      SELECT id, NULL, 'table_deleted', name, NULL, deleted_at FROM tables
+      WHERE deleted_at IS NOT NULL
+    )
+    ORDER BY timestamp
+  `);
 }
 
 async function _create_fresh_schema() {
@@ -82,6 +299,7 @@ async function _create_fresh_schema() {
     CREATE TABLE IF NOT EXISTS tables (
       id         INTEGER PRIMARY KEY AUTOINCREMENT,
       name       TEXT    NOT NULL UNIQUE,
+      uid        TEXT,
       created_at TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
       deleted_at TEXT
     )
@@ -95,6 +313,10 @@ async function _create_fresh_schema() {
       is_unique     INTEGER NOT NULL DEFAULT 0,
       col_type      TEXT    NOT NULL DEFAULT 'text',
       col_choices   TEXT,
+      is_required   INTEGER NOT NULL DEFAULT 0,
+      default_value TEXT,
+      rules         TEXT,
+      uid           TEXT,
       created_at    TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
       deleted_at    TEXT,
       UNIQUE(table_id, name)
@@ -108,7 +330,9 @@ async function _create_fresh_schema() {
       column_id   INTEGER REFERENCES columns(id),
       sentinel    TEXT,
       value       TEXT,
-      timestamp   TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now'))
+      timestamp   TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      sync_seq    INTEGER,
+      author      TEXT
     )
   `);
   await exec(`
@@ -120,11 +344,51 @@ async function _create_fresh_schema() {
       deleted_at     TEXT
     )
   `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS schema_history (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id    INTEGER NOT NULL REFERENCES tables(id),
+      column_id   INTEGER REFERENCES columns(id),
+      action      TEXT    NOT NULL,
+      old_value   TEXT,
+      new_value   TEXT,
+      timestamp   TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      sync_seq    INTEGER,
+      author      TEXT
+    )
+  `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key   TEXT PRIMARY KEY,
+      value TEXT
+    )
+  `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS views (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id    INTEGER NOT NULL REFERENCES tables(id),
+      name        TEXT    NOT NULL,
+      config      TEXT    NOT NULL,
+      is_default  INTEGER NOT NULL DEFAULT 0,
+      created_at  TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      updated_at  TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      UNIQUE(table_id, name)
+    )
+  `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS unique_constraints (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id    INTEGER NOT NULL REFERENCES tables(id),
+      column_ids  TEXT    NOT NULL,
+      created_at  TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now')),
+      deleted_at  TEXT
+    )
+  `);
   await _create_indexes();
 }
 
 async function _migrate_legacy_db() {
-  await exec('BEGIN');
+  await _begin();
   try {
     // 1. Create tables registry
     await exec(`
@@ -171,12 +435,12 @@ async function _migrate_legacy_db() {
         deleted_at     TEXT
       )
     `);
-    await exec('COMMIT');
+    await _commit();
   } catch (e) {
-    await exec('ROLLBACK');
+    await _rollback();
     throw e;
   }
-  await _create_indexes();
+  // Indexes follow in the incremental migrations, once sync_seq exists
 }
 
 async function _create_indexes() {
@@ -185,18 +449,25 @@ async function _create_indexes() {
   await exec(`CREATE INDEX IF NOT EXISTS idx_cell_timestamp  ON cell_history(timestamp)`);
   await exec(`CREATE INDEX IF NOT EXISTS idx_fk_from_col     ON foreign_keys(from_column_id)`);
   await exec(`CREATE INDEX IF NOT EXISTS idx_fk_to_table     ON foreign_keys(to_table_id)`);
+  await exec(`CREATE INDEX IF NOT EXISTS idx_cell_unsynced   ON cell_history(id) WHERE sync_seq IS NULL`);
+  await exec(`CREATE INDEX IF NOT EXISTS idx_schema_unsynced ON schema_history(id) WHERE sync_seq IS NULL`);
 }
 
 // ---------------------------------------------------------------------------
-// Helper: column map for a table { colName -> { id, is_unique } }
+// Helper: column map for a table
+// { colName -> { id, is_unique, col_type, col_choices, is_required, default_value, rules } }
 // ---------------------------------------------------------------------------
 async function _col_map_for_table(table_id) {
   const cols = await exec(
-    `SELECT id, name, is_unique FROM columns WHERE table_id = ? AND deleted_at IS NULL`,
+    `SELECT id, name, is_unique, col_type, col_choices, is_required, default_value, rules
+     FROM columns WHERE table_id = ? AND deleted_at IS NULL`,
     [table_id]
   );
   const map = {};
-  for (const c of cols) map[c.name] = { id: c.id, is_unique: c.is_unique };
+  for (const c of cols) {
+    const { name, ...col } = c;
+    map[name] = { ...col, rules: c.rules ? JSON.parse(c.rules) : null };
+  }
   return map;
 }
 
@@ -213,32 +484,584 @@ async function _get_fk_map_for_table(table_id) {
   return map;
 }
 
+// Helper: append a schema event — the tables/columns/foreign_keys registries
+// hold the current state, schema_history holds how it got there
+async function _record_schema_event(table_id, column_id, action, old_value = null, new_value = null) {
+  await exec(
+    `INSERT INTO schema_history (table_id, column_id, action, old_value, new_value, author) VALUES (?, ?, ?, ?, ?, ?)`,
+    [table_id, column_id, action, old_value, new_value, await _author()]
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Current-state projection — the latest value of every cell and whether each
+// row is deleted, kept next to the log so live reads need no GROUP BY over
+// cell_history. A trigger applies each appended event inside the writing
+// handler's transaction; last write wins in write order, as in the log itself.
+// The projection holds nothing the log doesn't, so it is left out of backups
+// and rebuilt whenever a database is restored.
+// ---------------------------------------------------------------------------
+
+// Write order: by timestamp, then by event id for events stamped the same
+// moment. Ids alone aren't write order, since events pulled from another
+// device are appended after local ones they may predate. As one sortable
+// string so a MAX picks the latest event; alias prefixes the column names.
+function _write_order(alias = '') {
+  return `(${alias}timestamp || printf('%012d', ${alias}id))`;
+}
+
+async function _create_projection() {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS current_rows (
+      table_id         INTEGER NOT NULL,
+      row_id           TEXT    NOT NULL,
+      created_at       TEXT    NOT NULL,
+      is_deleted       INTEGER NOT NULL DEFAULT 0,
+      deleted_event_id INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (table_id, row_id)
+    )
+  `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS current_cells (
+      table_id   INTEGER NOT NULL,
+      row_id     TEXT    NOT NULL,
+      column_id  INTEGER NOT NULL,
+      value      TEXT,
+      event_id   INTEGER NOT NULL,
+      timestamp  TEXT    NOT NULL,
+      PRIMARY KEY (table_id, row_id, column_id)
+    )
+  `);
+  await exec(`CREATE INDEX IF NOT EXISTS idx_current_value    ON current_cells(column_id, value)`);
+  await exec(`
+    CREATE TRIGGER IF NOT EXISTS trg_cell_projection AFTER INSERT ON cell_history
+    BEGIN
+      INSERT INTO current_rows (table_id, row_id, created_at) VALUES (NEW.table_id, NEW.row_id, NEW.timestamp)
+        ON CONFLICT (table_id, row_id) DO UPDATE SET created_at = excluded.created_at
+          WHERE excluded.created_at < current_rows.created_at;
+      UPDATE current_rows SET is_deleted = (NEW.value = '1'), deleted_event_id = NEW.id
+        WHERE NEW.sentinel = '__deleted__' AND table_id = NEW.table_id AND row_id = NEW.row_id
+          AND (deleted_event_id = 0
+               OR (NEW.timestamp, NEW.id) > (SELECT timestamp, id FROM cell_history WHERE id = deleted_event_id));
+      INSERT INTO current_cells (table_id, row_id, column_id, value, event_id, timestamp)
+        SELECT NEW.table_id, NEW.row_id, NEW.column_id, NEW.value, NEW.id, NEW.timestamp
+        WHERE NEW.sentinel IS NULL AND NEW.column_id IS NOT NULL
+        ON CONFLICT (table_id, row_id, column_id) DO UPDATE
+          SET value = excluded.value, event_id = excluded.event_id, timestamp = excluded.timestamp
+          WHERE (excluded.timestamp, excluded.event_id) > (current_cells.timestamp, current_cells.event_id);
+    END
+  `);
+}
+
+async function _rebuild_projection() {
+  await exec(`DELETE FROM current_rows`);
+  await exec(`DELETE FROM current_cells`);
+  await exec(`
+    INSERT INTO current_rows (table_id, row_id, created_at, is_deleted, deleted_event_id)
+    SELECT f.table_id, f.row_id, f.created_at, COALESCE(d.value = '1', 0), COALESCE(d.id, 0)
+    FROM (
+      SELECT table_id, row_id, MIN(timestamp) AS created_at FROM cell_history GROUP BY table_id, row_id
+    ) f
+    LEFT JOIN (
+      SELECT table_id, row_id, id, value, MAX(${_write_order()}) FROM cell_history
+      WHERE sentinel = '__deleted__'
+      GROUP BY table_id, row_id
+    ) d ON d.table_id = f.table_id AND d.row_id = f.row_id
+  `);
+  await exec(`
+    INSERT INTO current_cells (table_id, row_id, column_id, value, event_id, timestamp)
+    SELECT table_id, row_id, column_id, value, id, timestamp
+    FROM (
+      SELECT table_id, row_id, column_id, value, id, timestamp, MAX(${_write_order()}) FROM cell_history
+      WHERE sentinel IS NULL AND column_id IS NOT NULL
+      GROUP BY table_id, row_id, column_id
+    )
+  `);
+}
+
+// Rebuild from the log on request, e.g. if the projection is ever suspected
+// to have drifted
+async function rebuild_current_state() {
+  await _rebuild_projection();
+  // Snapshots were copied from the projection, so they go too
+  await _drop_snapshots();
+  const [{ rows }] = await exec(`SELECT COUNT(*) AS rows FROM current_rows WHERE is_deleted = 0`);
+  _fullReload = true;
+  return { rows };
+}
+
+// ---------------------------------------------------------------------------
+// Snapshots — a table's row state copied from the projection as of one
+// event. Reading a past moment starts from the latest snapshot at or before
+// it instead of from the first event. Like the projection they hold nothing
+// the log doesn't: they stay out of backups and are dropped whenever the
+// events they cover are removed.
+// ---------------------------------------------------------------------------
+const SNAPSHOTS_KEPT = 5;  // per table; older ones are dropped as new ones are taken
+
+async function _create_snapshot_tables() {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS row_snapshots (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_id   INTEGER NOT NULL,
+      event_id   INTEGER NOT NULL,
+      as_of      TEXT    NOT NULL,
+      taken_at   TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%f', 'now'))
+    )
+  `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS snapshot_rows (
+      snapshot_id      INTEGER NOT NULL,
+      row_id           TEXT    NOT NULL,
+      created_at       TEXT    NOT NULL,
+      has_content      INTEGER NOT NULL,
+      is_deleted       INTEGER NOT NULL,
+      deleted_event_id INTEGER NOT NULL,
+      PRIMARY KEY (snapshot_id, row_id)
+    )
+  `);
+  await exec(`
+    CREATE TABLE IF NOT EXISTS snapshot_cells (
+      snapshot_id INTEGER NOT NULL,
+      row_id      TEXT    NOT NULL,
+      column_id   INTEGER NOT NULL,
+      value       TEXT,
+      event_id    INTEGER NOT NULL,
+      timestamp   TEXT    NOT NULL,
+      PRIMARY KEY (snapshot_id, row_id, column_id)
+    )
+  `);
+  await exec(`CREATE INDEX IF NOT EXISTS idx_snapshot_table   ON row_snapshots(table_id, as_of)`);
+}
+
+// The latest snapshot whose events all happened at or before as_of
+async function _snapshot_for(table_id, as_of) {
+  const [snap] = await exec(
+    `SELECT id, event_id FROM row_snapshots WHERE table_id = ? AND as_of <= ? ORDER BY event_id DESC LIMIT 1`,
+    [table_id, as_of]
+  );
+  return snap ?? null;
+}
+
+// Copies the table's current state; as_of is its newest event's timestamp,
+// so the snapshot serves any moment from then on
+async function _take_snapshot(table_id) {
+  const [head] = await exec(
+    `SELECT MAX(id) AS event_id, MAX(timestamp) AS as_of FROM cell_history WHERE table_id = ?`, [table_id]
+  );
+  if (head.event_id === null) return null;
+  const id = await run(
+    `INSERT INTO row_snapshots (table_id, event_id, as_of) VALUES (?, ?, ?)`, [table_id, head.event_id, head.as_of]
+  );
+  await exec(`
+    INSERT INTO snapshot_rows (snapshot_id, row_id, created_at, has_content, is_deleted, deleted_event_id)
+    SELECT ?, r.row_id, r.created_at,
+           EXISTS (
+             SELECT 1 FROM cell_history ch
+             WHERE ch.table_id = r.table_id AND ch.row_id = r.row_id
+               AND (ch.sentinel IS NULL OR ch.sentinel = '__new__')
+           ),
+           r.is_deleted, r.deleted_event_id
+    FROM current_rows r
+    WHERE r.table_id = ?
+  `, [id, table_id]);
+  await exec(`
+    INSERT INTO snapshot_cells (snapshot_id, row_id, column_id, value, event_id, timestamp)
+    SELECT ?, row_id, column_id, value, event_id, timestamp FROM current_cells WHERE table_id = ?
+  `, [id, table_id]);
+  await _drop_snapshots(
+    `table_id = ? AND id NOT IN (SELECT id FROM row_snapshots WHERE table_id = ? ORDER BY event_id DESC LIMIT ?)`,
+    [table_id, table_id, SNAPSHOTS_KEPT]
+  );
+  return id;
+}
+
+// Drops the snapshots matching a condition on row_snapshots, all by default
+async function _drop_snapshots(where = '1', binds = []) {
+  for (const t of ['snapshot_cells', 'snapshot_rows']) {
+    await exec(`DELETE FROM ${t} WHERE snapshot_id IN (SELECT id FROM row_snapshots WHERE ${where})`, binds);
+  }
+  await exec(`DELETE FROM row_snapshots WHERE ${where}`, binds);
+}
+
+// ---------------------------------------------------------------------------
+// Compaction — optional upkeep of the log. It merges runs of edits to one
+// cell made by one author in quick succession (autosave writes one event per
+// pause in typing) into their last event, and takes a snapshot of each table
+// that grew by enough events since its last one. Settings are per device.
+// ---------------------------------------------------------------------------
+const COMPACTION_DEFAULTS = {
+  collapse_sessions: true,
+  session_gap_seconds: 120,  // longer pauses than this start a new session
+  snapshot_every: 1000,      // events since the last snapshot; 0 turns snapshots off
+  auto: false,
+};
+const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+const COMPACT_FIRST_DELAY_MS = 30 * 1000;
+const _compactState = { last_error: null };  // from the last automatic run
+let _compactTimer = null;
+
+// Rough stored size of one cell_history record: its text fields plus a fixed
+// allowance for the integers and the record header
+const EVENT_BYTES_SQL = `
+  length(row_id) + COALESCE(length(CAST(value AS BLOB)), 0) + COALESCE(length(sentinel), 0)
+  + length(timestamp) + COALESCE(length(author), 0) + 16`;
+
+// Defines collapsible(id, table_id): every edit followed by another edit of
+// the same cell from the same author within the gap, with no delete or
+// restore of the row in between. Only edits not yet pushed qualify; one the
+// sync server has would come back the next time the log is pulled from the
+// start. Binds the gap in seconds.
+const COLLAPSIBLE_CTES = `
+  edits AS (
+    SELECT id, table_id, row_id, timestamp, author, sync_seq,
+           LEAD(id)        OVER w AS next_id,
+           LEAD(timestamp) OVER w AS next_timestamp,
+           LEAD(author)    OVER w AS next_author
+    FROM cell_history
+    WHERE sentinel IS NULL AND column_id IS NOT NULL
+    WINDOW w AS (PARTITION BY table_id, row_id, column_id ORDER BY timestamp, id)
+  ),
+  collapsible AS (
+    SELECT e.id, e.table_id
+    FROM edits e
+    WHERE e.next_id IS NOT NULL
+      AND e.sync_seq IS NULL
+      AND e.next_author IS e.author
+      AND (julianday(e.next_timestamp) - julianday(e.timestamp)) * 86400 BETWEEN 0 AND ?
+      AND NOT EXISTS (
+        SELECT 1 FROM cell_history s
+        WHERE s.row_id = e.row_id AND s.sentinel = '__deleted__'
+          AND s.table_id = e.table_id
+          AND (s.timestamp, s.id) > (e.timestamp, e.id)
+          AND (s.timestamp, s.id) < (e.next_timestamp, e.next_id)
+      )
+  )`;
+
+async function _compaction_settings() {
+  const d = COMPACTION_DEFAULTS;
+  return {
+    collapse_sessions: (await _get_setting('compact_collapse', d.collapse_sessions ? '1' : '0')) === '1',
+    session_gap_seconds: Number(await _get_setting('compact_session_gap', d.session_gap_seconds)),
+    snapshot_every: Number(await _get_setting('compact_snapshot_every', d.snapshot_every)),
+    auto: (await _get_setting('compact_auto', d.auto ? '1' : '0')) === '1',
+  };
+}
+
+// Each argument left out keeps its current setting
+async function set_compaction_settings({ collapse_sessions, session_gap_seconds, snapshot_every, auto }) {
+  if (session_gap_seconds !== undefined) {
+    const gap = Number(session_gap_seconds);
+    if (!Number.isInteger(gap) || gap < 1 || gap > 86400) {
+      throw new Error('Session gap must be a whole number of seconds between 1 and 86400');
+    }
+    await _set_setting('compact_session_gap', gap);
+  }
+  if (snapshot_every !== undefined) {
+    const every = Number(snapshot_every);
+    if (!Number.isInteger(every) || every < 0) {
+      throw new Error('Snapshot interval must be a whole number of events, or 0 for none');
+    }
+    await _set_setting('compact_snapshot_every', every);
+  }
+  if (collapse_sessions !== undefined) await _set_setting('compact_collapse', collapse_sessions ? '1' : '0');
+  if (auto !== undefined) await _set_setting('compact_auto', auto ? '1' : '0');
+  return _compaction_settings();
+}
+
+async function compact_log() {
+  const settings = await _compaction_settings();
+  let collapsed = 0;
+  if (settings.collapse_sessions) {
+    const gap = settings.session_gap_seconds;
+    const perTable = await exec(
+      `WITH ${COLLAPSIBLE_CTES} SELECT table_id, COUNT(*) AS n, MIN(id) AS first_id FROM collapsible GROUP BY table_id`,
+      [gap]
+    );
+    if (perTable.length > 0) {
+      await exec(`WITH ${COLLAPSIBLE_CTES} DELETE FROM cell_history WHERE id IN (SELECT id FROM collapsible)`, [gap]);
+      // Snapshots that saw a removed edit may hold a value the log no longer has
+      for (const t of perTable) {
+        await _drop_snapshots(`table_id = ? AND event_id >= ?`, [t.table_id, t.first_id]);
+        collapsed += t.n;
+      }
+      // Row state is unchanged, but history and activity lost entries
+      _fullReload = true;
+    }
+  }
+  await _drop_snapshots(`table_id NOT IN (SELECT id FROM tables WHERE deleted_at IS NULL)`);
+  let snapshots = 0;
+  if (settings.snapshot_every > 0) {
+    for (const { id } of await exec(`SELECT id FROM tables WHERE deleted_at IS NULL ORDER BY id`)) {
+      const [{ since }] = await exec(`
+        SELECT COUNT(*) AS since FROM cell_history
+        WHERE table_id = ? AND id > COALESCE((SELECT MAX(event_id) FROM row_snapshots WHERE table_id = ?), 0)
+      `, [id, id]);
+      if (since >= settings.snapshot_every && await _take_snapshot(id) !== null) snapshots++;
+    }
+  }
+  await _set_setting('compact_last_run', new Date().toISOString());
+  _compactState.last_error = null;
+  return { collapsed, snapshots };
+}
+
+// Event counts and rough sizes per table, including deleted ones, with how
+// many events compaction would merge under the current settings
+async function get_storage_report() {
+  const settings = await _compaction_settings();
+  const byTable = {};
+  const entry = (table_id) => (byTable[table_id] ??= {
+    table_id, rows: 0, events: 0, event_bytes: 0, schema_events: 0,
+    snapshots: 0, snapshot_bytes: 0, last_snapshot_at: null, collapsible: 0,
+  });
+  for (const t of await exec(`SELECT table_id, COUNT(*) AS n, SUM(${EVENT_BYTES_SQL}) AS bytes FROM cell_history GROUP BY table_id`)) {
+    Object.assign(entry(t.table_id), { events: t.n, event_bytes: t.bytes });
+  }
+  for (const t of await exec(`SELECT table_id, COUNT(*) AS n FROM schema_history GROUP BY table_id`)) {
+    entry(t.table_id).schema_events = t.n;
+  }
+  for (const t of await exec(`SELECT table_id, COUNT(*) AS n FROM current_rows WHERE is_deleted = 0 GROUP BY table_id`)) {
+    entry(t.table_id).rows = t.n;
+  }
+  for (const t of await exec(`
+    SELECT s.table_id, COUNT(*) AS n, MAX(s.taken_at) AS last_at,
+           (SELECT SUM(length(c.row_id) + COALESCE(length(CAST(c.value AS BLOB)), 0) + length(c.timestamp) + 16)
+            FROM snapshot_cells c JOIN row_snapshots x ON x.id = c.snapshot_id
+            WHERE x.table_id = s.table_id) AS bytes
+    FROM row_snapshots s
+    GROUP BY s.table_id
+  `)) {
+    Object.assign(entry(t.table_id), { snapshots: t.n, snapshot_bytes: t.bytes ?? 0, last_snapshot_at: t.last_at });
+  }
+  for (const t of await exec(
+    `WITH ${COLLAPSIBLE_CTES} SELECT table_id, COUNT(*) AS n FROM collapsible GROUP BY table_id`,
+    [settings.session_gap_seconds]
+  )) {
+    entry(t.table_id).collapsible = t.n;
+  }
+  const tables = await exec(`SELECT id, name, deleted_at FROM tables ORDER BY deleted_at IS NOT NULL, name COLLATE NOCASE`);
+  const [pages] = await exec(`
+    SELECT (SELECT page_count FROM pragma_page_count()) AS page_count,
+           (SELECT freelist_count FROM pragma_freelist_count()) AS freelist_count,
+           (SELECT page_size FROM pragma_page_size()) AS page_size
+  `);
+  return {
+    settings,
+    last_run: await _get_setting('compact_last_run'),
+    last_error: _compactState.last_error,
+    database_bytes: pages.page_count * pages.page_size,
+    free_bytes: pages.freelist_count * pages.page_size,
+    tables: tables
+      .filter(t => byTable[t.id])
+      .map(t => ({ ...byTable[t.id], name: t.name, deleted: t.deleted_at !== null })),
+  };
+}
+
+// With auto on, compaction runs a little after start and then hourly. It
+// goes through the lock and change feed like a handler call, and the page
+// hears about it the way it hears about synced events. A failure is kept
+// for the storage report and posted to the page.
+function _schedule_compaction(delay = COMPACT_INTERVAL_MS) {
+  clearTimeout(_compactTimer);
+  _compactTimer = setTimeout(async () => {
+    try {
+      if ((await _exclusive(() => _compaction_settings())).auto) {
+        const { change } = await _exclusive(() => _with_change_feed(() => _transaction(compact_log)));
+        if (change) self.postMessage({ type: 'change', change });
+      }
+    } catch (e) {
+      _compactState.last_error = e.message;
+      self.postMessage({ type: 'compaction', last_error: e.message });
+    } finally {
+      _schedule_compaction();
+    }
+  }, delay);
+}
+
 // ---------------------------------------------------------------------------
 // Validation helpers
 // ---------------------------------------------------------------------------
+const BOOLEAN_WORDS = {
+  '1': '1', 'true': '1', 'yes': '1', 'y': '1', 'on': '1', 'x': '1',
+  '0': '0', 'false': '0', 'no': '0', 'n': '0', 'off': '0',
+};
+
+function _valid_ymd(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+// A Date as this device's wall-clock time, YYYY-MM-DDTHH:MM, with seconds
+// (and milliseconds) only when it has them
+function _local_datetime(t) {
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  const day = `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}`;
+  const ms = t.getMilliseconds();
+  const sec = t.getSeconds() || ms ? ':' + pad(t.getSeconds()) + (ms ? '.' + pad(ms, 3) : '') : '';
+  return `${day}T${pad(t.getHours())}:${pad(t.getMinutes())}${sec}`;
+}
+
+// Checks a value against its column's type and returns the form it is stored
+// in. Empty values (null or '') clear the cell and pass through untouched;
+// FK columns hold row ids and are checked by _check_fk_exists instead.
+function _normalize_value(col, col_name, value, is_fk = false) {
+  if (value === null || value === undefined || value === '') return value ?? null;
+  if (typeof value === 'boolean' && col.col_type === 'boolean') value = value ? '1' : '0';
+  if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+  if (typeof value !== 'string') {
+    throw new Error(`Column "${col_name}" expects a single text, number or true/false value`);
+  }
+  if (is_fk) return value;
+  const v = value.trim();
+  if (v === '' && col.col_type !== 'text' && col.col_type !== 'markdown') return '';
+  switch (col.col_type) {
+    case 'number': {
+      if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(v) || !Number.isFinite(Number(v))) {
+        throw new Error(`Column "${col_name}" expects a number, got "${value}"`);
+      }
+      // Canonical form ("1.50" -> "1.5") unless that would round away digits
+      const digits = v.split(/e/i)[0].replace(/\D/g, '').replace(/^0+/, '');
+      return digits.length <= 15 ? String(Number(v)) : v.replace(/^\+/, '');
+    }
+    case 'boolean': {
+      const b = BOOLEAN_WORDS[v.toLowerCase()];
+      if (b === undefined) throw new Error(`Column "${col_name}" expects true or false, got "${value}"`);
+      return b;
+    }
+    case 'date': {
+      const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+      if (!m || !_valid_ymd(+m[1], +m[2], +m[3])) {
+        throw new Error(`Column "${col_name}" expects a date as YYYY-MM-DD, got "${value}"`);
+      }
+      return v;
+    }
+    case 'datetime': {
+      // Wall-clock time as a datetime-local input writes it, or with a space
+      // for the T. A value with a zone (Z or +02:00, as in CSV exports) is an
+      // instant and is stored as the wall-clock time it is here.
+      const invalid = () => new Error(`Column "${col_name}" expects a date and time as YYYY-MM-DDTHH:MM[:SS], got "${value}"`);
+      const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2})?$/i.exec(v);
+      if (!m || !_valid_ymd(+m[1], +m[2], +m[3]) || +m[4] > 23 || +m[5] > 59 || +(m[6] ?? 0) > 59) throw invalid();
+      const wall = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}${m[6] !== undefined ? ':' + m[6] + (m[7] ?? '') : ''}`;
+      if (!m[8]) return wall;
+      const zone = m[8].toUpperCase() === 'Z' ? 'Z' : m[8].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+      const t = new Date(wall + zone);
+      if (Number.isNaN(t.getTime())) throw invalid();
+      return _local_datetime(t);
+    }
+    case 'url': {
+      // A bare domain like example.com/page gets https:// in front
+      const candidate = /^([a-z][a-z\d+.-]*:\/\/|mailto:)/i.test(v) ? v : 'https://' + v;
+      let url = null;
+      try { url = new URL(candidate); } catch { /* reported below */ }
+      const web = url && (url.protocol === 'http:' || url.protocol === 'https:');
+      const host = web && (url.hostname.includes('.') || url.hostname === 'localhost');
+      if (!host && url?.protocol !== 'mailto:') {
+        throw new Error(`Column "${col_name}" expects a web address (http:// or https://), got "${value}"`);
+      }
+      return candidate;
+    }
+    case 'select': {
+      const choices = (col.col_choices || '').split(',').map(c => c.trim()).filter(Boolean);
+      if (!choices.includes(v)) {
+        throw new Error(choices.length
+          ? `"${value}" is not one of the choices for column "${col_name}" (${choices.join(', ')})`
+          : `Column "${col_name}" has no choices yet — add some before picking a value`);
+      }
+      return v;
+    }
+    default:
+      return value;
+  }
+}
+
+// Normalizes every known column in a cells object, throwing on the first
+// invalid value; unknown column names are left for the caller to skip
+function _normalize_cells(cells, colMap, fkMap) {
+  const out = {};
+  for (const [colName, value] of Object.entries(cells)) {
+    const col = colMap[colName];
+    out[colName] = col ? _normalize_value(col, colName, value, fkMap[col.id] !== undefined) : value;
+  }
+  return out;
+}
+
+// Per-type rules stored as JSON on the column: number, date and datetime
+// columns take a min and/or max, text-like columns a regex pattern
+const RULE_KEYS = {
+  number: ['min', 'max'], date: ['min', 'max'], datetime: ['min', 'max'],
+  text: ['pattern'], url: ['pattern'], markdown: ['pattern'],
+};
+
+function _normalize_rules(col, col_name, rules) {
+  if (!rules) return null;
+  const keys = RULE_KEYS[col.col_type] ?? [];
+  const out = {};
+  for (const key of keys) {
+    const v = rules[key];
+    if (v === null || v === undefined || v === '') continue;
+    if (key === 'pattern') {
+      try { new RegExp(v, 'u'); } catch (e) { throw new Error(`Invalid pattern for "${col_name}": ${e.message}`); }
+      out.pattern = String(v);
+    } else {
+      try { out[key] = _normalize_value(col, col_name, v); } catch (e) { throw new Error(`Invalid ${key}: ${e.message}`); }
+    }
+  }
+  if (out.min !== undefined && out.max !== undefined && _rule_compare(col, out.min, out.max) > 0) {
+    throw new Error(`The minimum for "${col_name}" is greater than its maximum`);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function _rule_compare(col, a, b) {
+  return col.col_type === 'number' ? Number(a) - Number(b) : _compare_time(col.col_type, a, b);
+}
+
+// value is already normalized and non-empty
+function _check_rules(col, col_name, value) {
+  const rules = col.rules;
+  if (!rules || !value) return;
+  if (col.col_type === 'number' || col.col_type === 'date' || col.col_type === 'datetime') {
+    const unit = col.col_type === 'number' ? '' : 'date ';
+    if (rules.min !== undefined && _rule_compare(col, value, rules.min) < 0) {
+      throw new Error(`"${value}" in "${col_name}" is below the minimum ${unit}of ${rules.min}`);
+    }
+    if (rules.max !== undefined && _rule_compare(col, value, rules.max) > 0) {
+      throw new Error(`"${value}" in "${col_name}" is above the maximum ${unit}of ${rules.max}`);
+    }
+  }
+  if (rules.pattern !== undefined && !new RegExp(rules.pattern, 'u').test(value)) {
+    throw new Error(`"${value}" in "${col_name}" does not match the pattern /${rules.pattern}/`);
+  }
+}
+
+function _check_required(col, col_name, value) {
+  if (col.is_required && (value === null || value === undefined || value === '')) {
+    throw new Error(`"${col_name}" is required and cannot be empty`);
+  }
+}
+
+// Columns left empty in a new row take their default value
+function _with_defaults(cells, colMap) {
+  const out = { ...cells };
+  for (const [colName, col] of Object.entries(colMap)) {
+    if (col.default_value !== null && (out[colName] === undefined || out[colName] === null || out[colName] === '')) {
+      out[colName] = col.default_value;
+    }
+  }
+  return out;
+}
+
 async function _check_uniqueness(table_id, column_id, col_name, value, excluding_row_id) {
   if (!value) return;
   const rows = await exec(`
-    WITH latest AS (
-      SELECT row_id, column_id, MAX(id) AS max_id
-      FROM cell_history WHERE table_id = ? AND sentinel IS NULL
-      GROUP BY row_id, column_id
-    ),
-    deleted_rows AS (
-      SELECT row_id FROM cell_history
-      WHERE table_id = ? AND sentinel = '__deleted__'
-      GROUP BY row_id
-      HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-             MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-    )
-    SELECT ch.value
-    FROM latest l
-    JOIN cell_history ch ON ch.id = l.max_id
-    WHERE l.column_id = ? AND ch.value = ?
-      AND l.row_id != ?
-      AND l.row_id NOT IN (SELECT row_id FROM deleted_rows)
+    SELECT cc.value
+    FROM current_cells cc
+    JOIN current_rows r ON r.table_id = cc.table_id AND r.row_id = cc.row_id
+    WHERE cc.column_id = ? AND cc.value = ? AND cc.table_id = ?
+      AND cc.row_id != ? AND r.is_deleted = 0
     LIMIT 1
-  `, [table_id, table_id, column_id, value, excluding_row_id]);
+  `, [column_id, value, table_id, excluding_row_id]);
   if (rows.length > 0) {
     throw new Error(`Value "${value}" already exists in column "${col_name}" (unique constraint)`);
   }
@@ -246,19 +1069,10 @@ async function _check_uniqueness(table_id, column_id, col_name, value, excluding
 
 async function _check_fk_exists(to_table_id, value, col_name) {
   if (!value) return;
-  const rows = await exec(`
-    WITH deleted_rows AS (
-      SELECT row_id FROM cell_history
-      WHERE table_id = ? AND sentinel = '__deleted__'
-      GROUP BY row_id
-      HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-             MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-    )
-    SELECT row_id FROM cell_history
-    WHERE table_id = ? AND sentinel = '__new__' AND row_id = ?
-      AND row_id NOT IN (SELECT row_id FROM deleted_rows)
-    LIMIT 1
-  `, [to_table_id, to_table_id, value]);
+  const rows = await exec(
+    `SELECT row_id FROM current_rows WHERE table_id = ? AND row_id = ? AND is_deleted = 0`,
+    [to_table_id, value]
+  );
   if (rows.length === 0) {
     throw new Error(
       `Value in column "${col_name}" does not reference a valid row in the linked table`
@@ -282,7 +1096,8 @@ async function create_table({ name }) {
     `SELECT id FROM tables WHERE name = ? AND deleted_at IS NULL`, [name]
   );
   if (existing.length > 0) throw new Error(`Table "${name}" already exists`);
-  const id = await run(`INSERT INTO tables (name) VALUES (?)`, [name]);
+  const id = await run(`INSERT INTO tables (name, uid) VALUES (?, ?)`, [name, crypto.randomUUID()]);
+  await _record_schema_event(id, null, 'table_created', null, name);
   return { id, name };
 }
 
@@ -293,29 +1108,27 @@ async function rename_table({ id, name }) {
     `SELECT id FROM tables WHERE name = ? AND id != ? AND deleted_at IS NULL`, [name, id]
   );
   if (conflict.length > 0) throw new Error(`Table "${name}" already exists`);
+  const [tbl] = await exec(`SELECT name FROM tables WHERE id = ? AND deleted_at IS NULL`, [id]);
+  if (!tbl) throw new Error('Table not found');
+  if (tbl.name === name) return { id, name };
   await exec(`UPDATE tables SET name = ? WHERE id = ? AND deleted_at IS NULL`, [name, id]);
+  await _record_schema_event(id, null, 'table_renamed', tbl.name, name);
+  _push_undo(`rename of table "${tbl.name}"`, id,
+    [['rename_table', { id, name: tbl.name }]],
+    [['rename_table', { id, name }]]);
   return { id, name };
 }
 
 async function delete_table({ id }) {
   // Check for live rows
-  const liveRows = await exec(`
-    WITH deleted_rows AS (
-      SELECT row_id FROM cell_history
-      WHERE table_id = ? AND sentinel = '__deleted__'
-      GROUP BY row_id
-      HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-             MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-    )
-    SELECT COUNT(DISTINCT row_id) AS cnt
-    FROM cell_history
-    WHERE table_id = ? AND sentinel = '__new__'
-      AND row_id NOT IN (SELECT row_id FROM deleted_rows)
-  `, [id, id]);
+  const liveRows = await exec(
+    `SELECT COUNT(*) AS cnt FROM current_rows WHERE table_id = ? AND is_deleted = 0`, [id]
+  );
   if (liveRows[0].cnt > 0) {
     throw new Error(`Cannot delete table: it still has ${liveRows[0].cnt} live row(s). Delete all rows first.`);
   }
-  const now = `strftime('%Y-%m-%dT%H:%M:%f', 'now')`;
+  const [tbl] = await exec(`SELECT name FROM tables WHERE id = ? AND deleted_at IS NULL`, [id]);
+  if (!tbl) throw new Error('Table not found');
   // Soft-delete FK defs for this table's columns
   await exec(`
     UPDATE foreign_keys SET deleted_at = strftime('%Y-%m-%dT%H:%M:%f', 'now')
@@ -332,18 +1145,31 @@ async function delete_table({ id }) {
     `UPDATE tables SET deleted_at = strftime('%Y-%m-%dT%H:%M:%f', 'now') WHERE id = ? AND deleted_at IS NULL`,
     [id]
   );
+  await _record_schema_event(id, null, 'table_deleted', tbl.name, null);
   return null;
 }
 
 // ---------------------------------------------------------------------------
 // Column helpers
 // ---------------------------------------------------------------------------
-async function get_columns({ table_id }) {
-  return exec(
-    `SELECT id, name, display_order, is_unique, col_type, col_choices, created_at
-     FROM columns WHERE table_id = ? AND deleted_at IS NULL ORDER BY display_order, id`,
-    [table_id]
-  );
+async function get_columns({ table_id, as_of = null }) {
+  const cols = as_of
+    // Columns that existed at that moment, including ones removed since
+    ? await exec(
+      `SELECT id, name, display_order, is_unique, col_type, col_choices,
+              is_required, default_value, rules, created_at
+       FROM columns
+       WHERE table_id = ? AND created_at <= ? AND (deleted_at IS NULL OR deleted_at > ?)
+       ORDER BY display_order, id`,
+      [table_id, as_of, as_of]
+    )
+    : await exec(
+      `SELECT id, name, display_order, is_unique, col_type, col_choices,
+              is_required, default_value, rules, created_at
+       FROM columns WHERE table_id = ? AND deleted_at IS NULL ORDER BY display_order, id`,
+      [table_id]
+    );
+  return cols.map(c => ({ ...c, rules: c.rules ? JSON.parse(c.rules) : null }));
 }
 
 const VALID_COL_TYPES = ['text', 'number', 'boolean', 'date', 'datetime', 'url', 'select', 'markdown'];
@@ -360,8 +1186,8 @@ async function create_column({ table_id, name, is_unique = 0, col_type = 'text',
   let id;
   try {
     id = await run(
-      `INSERT INTO columns (table_id, name, display_order, is_unique, col_type, col_choices) VALUES (?, ?, ?, ?, ?, ?)`,
-      [table_id, name, display_order, is_unique, col_type, col_choices]
+      `INSERT INTO columns (table_id, name, display_order, is_unique, col_type, col_choices, uid) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [table_id, name, display_order, is_unique, col_type, col_choices, crypto.randomUUID()]
     );
   } catch (e) {
     if (e.message && e.message.includes('UNIQUE')) {
@@ -369,54 +1195,52 @@ async function create_column({ table_id, name, is_unique = 0, col_type = 'text',
     }
     throw e;
   }
+  await _record_schema_event(table_id, id, 'column_created', null, name);
+  if (col_type !== 'text') await _record_schema_event(table_id, id, 'column_type_changed', 'text', col_type);
+  if (col_choices) await _record_schema_event(table_id, id, 'column_choices_changed', null, col_choices);
+  if (is_unique) await _record_schema_event(table_id, id, 'column_unique_changed', '0', '1');
   return { id, name, display_order, is_unique, col_type, col_choices };
 }
 
 async function rename_column({ id, name }) {
   name = name.trim();
   if (!name) throw new Error('Column name cannot be empty');
-  const [col] = await exec(`SELECT table_id FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]);
+  const [col] = await exec(`SELECT table_id, name FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]);
   if (!col) throw new Error('Column not found');
+  if (col.name === name) return { id, name };
   const conflict = await exec(
     `SELECT id FROM columns WHERE table_id = ? AND name = ? AND id != ? AND deleted_at IS NULL`,
     [col.table_id, name, id]
   );
   if (conflict.length > 0) throw new Error(`Column "${name}" already exists in this table`);
   await exec(`UPDATE columns SET name = ? WHERE id = ? AND deleted_at IS NULL`, [name, id]);
+  await _record_schema_event(col.table_id, id, 'column_renamed', col.name, name);
+  _push_undo(`rename of column "${col.name}"`, col.table_id,
+    [['rename_column', { id, name: col.name }]],
+    [['rename_column', { id, name }]]);
   return { id, name };
 }
 
 async function set_column_unique({ id, is_unique }) {
   const [col] = await exec(
-    `SELECT table_id, name FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]
+    `SELECT table_id, name, is_unique AS was_unique FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]
   );
   if (!col) throw new Error('Column not found');
+  if (col.was_unique === (is_unique ? 1 : 0)) return { id, is_unique: col.was_unique };
 
   if (is_unique) {
     // Check for existing duplicates
     const dupes = await exec(`
-      WITH latest AS (
-        SELECT row_id, column_id, MAX(id) AS max_id
-        FROM cell_history WHERE table_id = ? AND sentinel IS NULL
-        GROUP BY row_id, column_id
-      ),
-      deleted_rows AS (
-        SELECT row_id FROM cell_history
-        WHERE table_id = ? AND sentinel = '__deleted__'
-        GROUP BY row_id
-        HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-               MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-      )
-      SELECT ch.value, COUNT(*) AS cnt
-      FROM latest l
-      JOIN cell_history ch ON ch.id = l.max_id
-      WHERE l.column_id = ?
-        AND ch.value IS NOT NULL AND ch.value != ''
-        AND l.row_id NOT IN (SELECT row_id FROM deleted_rows)
-      GROUP BY ch.value
+      SELECT cc.value, COUNT(*) AS cnt
+      FROM current_cells cc
+      JOIN current_rows r ON r.table_id = cc.table_id AND r.row_id = cc.row_id
+      WHERE cc.column_id = ? AND cc.table_id = ?
+        AND cc.value IS NOT NULL AND cc.value != ''
+        AND r.is_deleted = 0
+      GROUP BY cc.value
       HAVING cnt > 1
       LIMIT 1
-    `, [col.table_id, col.table_id, id]);
+    `, [id, col.table_id]);
     if (dupes.length > 0) {
       throw new Error(
         `Cannot enable unique constraint on "${col.name}": column already has duplicate values`
@@ -424,124 +1248,751 @@ async function set_column_unique({ id, is_unique }) {
     }
   }
   await exec(`UPDATE columns SET is_unique = ? WHERE id = ? AND deleted_at IS NULL`, [is_unique ? 1 : 0, id]);
+  await _record_schema_event(col.table_id, id, 'column_unique_changed', String(col.was_unique), is_unique ? '1' : '0');
+  _push_undo(`unique change on "${col.name}"`, col.table_id,
+    [['set_column_unique', { id, is_unique: col.was_unique }]],
+    [['set_column_unique', { id, is_unique: is_unique ? 1 : 0 }]]);
   return { id, is_unique: is_unique ? 1 : 0 };
 }
 
+// Required flag, default value and per-type rules. Each argument left out
+// keeps its current setting. Like set_column_unique, tightening a
+// constraint first checks that the existing rows already satisfy it.
+async function set_column_constraints({ id, is_required, default_value, rules }) {
+  const [col] = await exec(
+    `SELECT id, table_id, name, col_type, col_choices, is_required, default_value, rules
+     FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]
+  );
+  if (!col) throw new Error('Column not found');
+  const fkMap = await _get_fk_map_for_table(col.table_id);
+  const isFk = fkMap[id] !== undefined;
+  const next = {
+    is_required: is_required === undefined ? col.is_required : (is_required ? 1 : 0),
+    default_value: col.default_value,
+    rules: col.rules ? JSON.parse(col.rules) : null,
+  };
+  if (rules !== undefined) next.rules = isFk ? null : _normalize_rules(col, col.name, rules);
+  if (default_value !== undefined) {
+    next.default_value = _normalize_value(col, col.name, default_value, isFk) || null;
+  }
+  if (next.is_required && col.col_type === 'boolean') {
+    throw new Error(`"${col.name}" is a checkbox, which is never empty, so it cannot be required`);
+  }
+  if (next.default_value !== null) {
+    _check_rules({ ...col, rules: next.rules }, col.name, next.default_value);
+    if (isFk) await _check_fk_exists(fkMap[id], next.default_value, col.name);
+  }
+
+  const rulesJson = next.rules ? JSON.stringify(next.rules) : null;
+  const tightened = (next.is_required && !col.is_required) || (rulesJson !== null && rulesJson !== col.rules);
+  if (tightened) {
+    const rows = await get_rows({ table_id: col.table_id });
+    if (next.is_required && !col.is_required) {
+      const empty = rows.filter(r => !r.cells[col.name]).length;
+      if (empty > 0) {
+        throw new Error(`Cannot make "${col.name}" required: ${empty} row(s) have no value`);
+      }
+    }
+    if (rulesJson !== null) {
+      const broken = [];
+      for (const r of rows) {
+        try { _check_rules({ ...col, rules: next.rules }, col.name, r.cells[col.name]); } catch { broken.push(r.cells[col.name]); }
+      }
+      if (broken.length > 0) {
+        throw new Error(`Cannot add this rule to "${col.name}": ${broken.length} existing value(s) break it, e.g. "${broken[0]}"`);
+      }
+    }
+  }
+
+  await exec(
+    `UPDATE columns SET is_required = ?, default_value = ?, rules = ? WHERE id = ? AND deleted_at IS NULL`,
+    [next.is_required, next.default_value, rulesJson, id]
+  );
+  if (next.is_required !== col.is_required) {
+    await _record_schema_event(col.table_id, id, 'column_required_changed', String(col.is_required), String(next.is_required));
+  }
+  if (next.default_value !== col.default_value) {
+    await _record_schema_event(col.table_id, id, 'column_default_changed', col.default_value, next.default_value);
+  }
+  if (rulesJson !== col.rules) {
+    await _record_schema_event(col.table_id, id, 'column_rules_changed', col.rules, rulesJson);
+  }
+  _push_undo(`constraint change on "${col.name}"`, col.table_id,
+    [['set_column_constraints', {
+      id, is_required: col.is_required, default_value: col.default_value,
+      rules: col.rules ? JSON.parse(col.rules) : null,
+    }]],
+    [['set_column_constraints', { id, ...next }]]);
+  return { id, ...next };
+}
+
 async function set_column_type({ id, col_type, col_choices = null }) {
   if (!VALID_COL_TYPES.includes(col_type)) throw new Error(`Invalid column type: ${col_type}`);
-  const [col] = await exec(`SELECT id, name FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]);
+  const [col] = await exec(
+    `SELECT id, table_id, name, col_type AS old_type, col_choices AS old_choices
+     FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]
+  );
   if (!col) throw new Error('Column not found');
+  const dropped = await _apply_column_type(col, col_type, col_choices);
+  _push_undo(`type change on "${col.name}"`, col.table_id,
+    [
+      ['set_column_type', { id, col_type: col.old_type, col_choices: col.old_choices }],
+      ...(dropped ? [['set_column_constraints', { id, ...dropped }]] : []),
+    ],
+    [['set_column_type', { id, col_type, col_choices }]]);
+  return { id, col_type, col_choices };
+}
+
+// Switches the registry entry and records what changed; col carries the
+// old_type / old_choices read before. Rules belong to a type and go with a
+// type change, as does a default the new type cannot hold; the dropped
+// settings are returned so the caller can undo that too.
+async function _apply_column_type(col, col_type, col_choices) {
+  const [{ default_value, rules }] = await exec(`SELECT default_value, rules FROM columns WHERE id = ?`, [col.id]);
   await exec(
     `UPDATE columns SET col_type = ?, col_choices = ? WHERE id = ? AND deleted_at IS NULL`,
-    [col_type, col_choices, id]
+    [col_type, col_choices, col.id]
   );
-  return { id, col_type, col_choices };
+  if (col.old_type !== col_type) {
+    await _record_schema_event(col.table_id, col.id, 'column_type_changed', col.old_type, col_type);
+  }
+  if ((col.old_choices ?? null) !== (col_choices ?? null)) {
+    await _record_schema_event(col.table_id, col.id, 'column_choices_changed', col.old_choices, col_choices);
+  }
+  let keepDefault = default_value;
+  if (default_value !== null) {
+    try { _normalize_value({ col_type, col_choices }, col.name, default_value); } catch { keepDefault = null; }
+  }
+  const dropRules = rules !== null && col.old_type !== col_type;
+  if (!dropRules && keepDefault === default_value) return null;
+  await exec(
+    `UPDATE columns SET default_value = ?, rules = ? WHERE id = ?`,
+    [keepDefault, dropRules ? null : rules, col.id]
+  );
+  if (keepDefault !== default_value) {
+    await _record_schema_event(col.table_id, col.id, 'column_default_changed', default_value, null);
+  }
+  if (dropRules) await _record_schema_event(col.table_id, col.id, 'column_rules_changed', rules, null);
+  return { default_value, rules: rules ? JSON.parse(rules) : null };
+}
+
+// ---------------------------------------------------------------------------
+// Type conversion — scan current values against a new type, then convert
+// them by appending cell events and switching the type in one undo step
+// ---------------------------------------------------------------------------
+
+// Best-effort rescue of a value that does not parse as col_type; null when
+// nothing sensible can be made of it
+function _coerce_value(col, value) {
+  const v = String(value).trim();
+  let candidate = null;
+  switch (col.col_type) {
+    case 'number': {
+      // "$1,200.50" -> 1200.50, "12 kg" -> 12
+      const m = /[+-]?(\d[\d,\s]*)?\.?\d+/.exec(v);
+      if (m) candidate = m[0].replace(/[,\s]/g, '');
+      break;
+    }
+    case 'boolean': {
+      const n = Number(v);
+      if (!Number.isNaN(n)) candidate = n === 0 ? '0' : '1';
+      break;
+    }
+    case 'date':
+    case 'datetime': {
+      // Only text that names a year; Date() reads "1.5" as January 5th, 2001.
+      // A bare YYYY-MM-DD would parse as UTC midnight and read back through
+      // the local getters as the day before west of Greenwich, so it gets a
+      // local time first.
+      const t = /^\d{4}-\d{2}-\d{2}$/.test(v) ? new Date(`${v}T00:00`)
+        : /\d{4}/.test(v) ? new Date(v) : null;
+      if (!t || Number.isNaN(t.getTime())) break;
+      candidate = col.col_type === 'date' ? _local_datetime(t).slice(0, 10) : _local_datetime(t);
+      break;
+    }
+    case 'url': {
+      const m = /https?:\/\/\S+|[\w-]+(\.[\w-]+)+(\/\S*)?/i.exec(v);
+      if (m) candidate = m[0];
+      break;
+    }
+    case 'select': {
+      const choices = (col.col_choices || '').split(',').map(c => c.trim()).filter(Boolean);
+      candidate = choices.find(c => c.toLowerCase() === v.toLowerCase()) ?? null;
+      break;
+    }
+  }
+  if (candidate === null) return null;
+  try {
+    return _normalize_value(col, 'coerced', candidate) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function _plan_column_type({ id, col_type, col_choices = null }) {
+  if (!VALID_COL_TYPES.includes(col_type)) throw new Error(`Invalid column type: ${col_type}`);
+  const [col] = await exec(
+    `SELECT id, table_id, name, is_unique, is_required, col_type AS old_type, col_choices AS old_choices
+     FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]
+  );
+  if (!col) throw new Error('Column not found');
+  const fkMap = await _get_fk_map_for_table(col.table_id);
+  if (fkMap[id] !== undefined && col_type !== col.old_type) {
+    throw new Error(`"${col.name}" links to another table; remove the relationship before changing its type`);
+  }
+  const target = { col_type, col_choices };
+  const rows = await get_rows({ table_id: col.table_id });
+  const reformatted = [];
+  const invalid = [];
+  const distinct = new Set();
+  let filled = 0;
+  for (const row of rows) {
+    const value = row.cells[col.name];
+    if (value === null || value === undefined || value === '') continue;
+    filled++;
+    distinct.add(String(value).trim());
+    try {
+      const normalized = _normalize_value(target, col.name, value);
+      if (normalized !== value) reformatted.push({ row_id: row.row_id, value, converted: normalized });
+    } catch {
+      invalid.push({ row_id: row.row_id, value, coerced: _coerce_value(target, value) });
+    }
+  }
+  return { col, rows, filled, reformatted, invalid, distinct: [...distinct] };
+}
+
+// What converting would do: values that convert as they are but get
+// reformatted, values that do not fit (with what coercion would make of
+// them), and the distinct values to offer as select choices
+async function preview_column_type({ id, col_type, col_choices = null }) {
+  const plan = await _plan_column_type({ id, col_type, col_choices });
+  const labels = await _row_labels(plan.col.table_id, plan.invalid.map(e => e.row_id));
+  return {
+    rows: plan.rows.length,
+    filled: plan.filled,
+    reformatted: plan.reformatted,
+    invalid: plan.invalid.map(e => ({ ...e, row_label: labels[e.row_id] ?? null })),
+    distinct_values: plan.distinct
+      .filter(v => !v.includes(','))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+  };
+}
+
+// invalid: 'coerce' keeps what coercion recovers and clears the rest;
+// 'clear' empties every value that does not fit
+async function convert_column_type({ id, col_type, col_choices = null, invalid = 'coerce' }) {
+  if (invalid !== 'coerce' && invalid !== 'clear') throw new Error(`Unknown conversion mode: ${invalid}`);
+  const plan = await _plan_column_type({ id, col_type, col_choices });
+  const { col } = plan;
+  const writes = [
+    ...plan.reformatted.map(e => ({ row_id: e.row_id, before: e.value, after: e.converted })),
+    ...plan.invalid.map(e => ({ row_id: e.row_id, before: e.value, after: invalid === 'coerce' ? e.coerced : null })),
+  ];
+  const clears = writes.filter(w => w.after === null).length;
+  if (col.is_required && clears > 0) {
+    throw new Error(`"${col.name}" is required; converting would leave ${clears} row(s) empty`);
+  }
+  if (col.is_unique) {
+    // Reformatting can make distinct values equal ("1.0" and "1")
+    const finalValues = new Map(plan.rows.map(r => [r.row_id, r.cells[col.name] ?? null]));
+    for (const w of writes) finalValues.set(w.row_id, w.after);
+    const seen = new Set();
+    for (const v of finalValues.values()) {
+      if (!v) continue;
+      if (seen.has(v)) throw new Error(`Converting would give "${col.name}" the value "${v}" twice (unique constraint)`);
+      seen.add(v);
+    }
+  }
+  const constraints = (await _unique_constraints_for_table(col.table_id)).filter(u => u.column_ids.includes(id));
+  if (constraints.length > 0) {
+    const after = new Map(writes.map(w => [w.row_id, w.after]));
+    const finalRows = plan.rows.map(r => after.has(r.row_id)
+      ? { row_id: r.row_id, cells: { ...r.cells, [col.name]: after.get(r.row_id) } }
+      : r);
+    const nameById = _names_by_id(await _col_map_for_table(col.table_id));
+    for (const u of constraints) {
+      const [dupe] = _duplicate_groups(finalRows, u.column_ids.map(cid => nameById[cid]));
+      if (dupe) {
+        throw new Error(
+          `Converting would repeat ${dupe.values.map(v => `"${v}"`).join(' / ')} in ${_constraint_label(u.column_ids, nameById)} (unique constraint)`
+        );
+      }
+    }
+  }
+  const author = await _author();
+  for (const w of writes) {
+    await exec(
+      `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, author) VALUES (?, ?, ?, NULL, ?, ?)`,
+      [col.table_id, w.row_id, id, w.after, author]
+    );
+  }
+  const dropped = await _apply_column_type(col, col_type, col_choices);
+  _push_undo(`conversion of "${col.name}" to ${col_type}`, col.table_id,
+    [
+      ['set_column_type', { id, col_type: col.old_type, col_choices: col.old_choices }],
+      ...writes.map(w => ['update_row', { table_id: col.table_id, row_id: w.row_id, cells: { [col.name]: w.before } }]),
+      ...(dropped ? [['set_column_constraints', { id, ...dropped }]] : []),
+    ],
+    [['convert_column_type', { id, col_type, col_choices, invalid }]]);
+  return { id, col_type, col_choices, changed: writes.length, cleared: clears };
 }
 
 async function delete_column({ id }) {
+  const [col] = await exec(`SELECT table_id, name FROM columns WHERE id = ? AND deleted_at IS NULL`, [id]);
+  if (!col) throw new Error('Column not found');
+  const [fk] = await exec(
+    `SELECT to_table_id FROM foreign_keys WHERE from_column_id = ? AND deleted_at IS NULL`, [id]
+  );
   // Soft-delete FK defs for this column
   await exec(
     `UPDATE foreign_keys SET deleted_at = strftime('%Y-%m-%dT%H:%M:%f', 'now')
      WHERE from_column_id = ? AND deleted_at IS NULL`,
     [id]
   );
+  // Unique constraints over this column go with it
+  for (const u of await _unique_constraints_for_table(col.table_id)) {
+    if (u.column_ids.includes(id)) await _drop_unique_constraint(u.id, col.table_id, JSON.stringify(u.column_ids));
+  }
   await exec(
     `UPDATE columns SET deleted_at = strftime('%Y-%m-%dT%H:%M:%f', 'now') WHERE id = ? AND deleted_at IS NULL`,
     [id]
   );
+  if (fk) await _record_schema_event(col.table_id, id, 'fk_deleted', String(fk.to_table_id), null);
+  await _record_schema_event(col.table_id, id, 'column_deleted', col.name, null);
   return null;
 }
 
 // ---------------------------------------------------------------------------
-// Row reconstruction SQL (scoped to table_id)
-// ---------------------------------------------------------------------------
-function _reconstruction_sql() {
-  return `
-WITH latest AS (
-  SELECT row_id, column_id, MAX(id) AS max_id
-  FROM cell_history
-  WHERE table_id = ? AND sentinel IS NULL
-  GROUP BY row_id, column_id
-),
-deleted_rows AS (
-  SELECT row_id
-  FROM cell_history
-  WHERE table_id = ? AND sentinel = '__deleted__'
-  GROUP BY row_id
-  HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-         MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-)
-SELECT
-  l.row_id,
-  c.id   AS column_id,
-  c.name AS column_name,
-  c.display_order,
-  c.is_unique,
-  ch.value,
-  ch.timestamp AS last_modified
-FROM latest l
-JOIN cell_history ch ON ch.id = l.max_id
-JOIN columns c       ON c.id  = l.column_id
-WHERE c.deleted_at IS NULL
-  AND l.row_id NOT IN (SELECT row_id FROM deleted_rows)
-ORDER BY l.row_id, c.display_order
-`;
-}
-
-function _empty_rows_sql() {
-  return `
-SELECT DISTINCT ch.row_id, ch.timestamp
-FROM cell_history ch
-WHERE ch.table_id = ?
-  AND ch.sentinel = '__new__'
-  AND ch.row_id NOT IN (SELECT row_id FROM cell_history WHERE table_id = ? AND sentinel IS NULL)
-  AND ch.row_id NOT IN (
-    SELECT row_id FROM cell_history
-    WHERE table_id = ? AND sentinel = '__deleted__'
-    GROUP BY row_id
-    HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-           MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-  )
-`;
+// Row state SQL (scoped to table_id)
+// Live state is the projection. A past moment is rebuilt from the latest
+// snapshot taken at or before it, if any, plus the events after it.
+// ---------------------------------------------------------------------------
+// Defines st_rows(row_id, created_at) and st_cells(row_id, column_id, value,
+// timestamp) for one table as of the given moment, or as it is now
+async function _row_state_ctes(table_id, as_of) {
+  if (!as_of) {
+    return {
+      sql: `
+        st_rows AS (SELECT row_id, created_at FROM current_rows WHERE table_id = ? AND is_deleted = 0),
+        st_cells AS (SELECT row_id, column_id, value, timestamp FROM current_cells WHERE table_id = ?)`,
+      binds: [table_id, table_id],
+    };
+  }
+  const snap = await _snapshot_for(table_id, as_of);
+  if (!snap) {
+    return {
+      sql: `
+        st_rows AS (
+          SELECT row_id, MIN(timestamp) AS created_at
+          FROM cell_history
+          WHERE table_id = ? AND timestamp <= ?
+          GROUP BY row_id
+          HAVING MAX(sentinel IS NULL OR sentinel = '__new__') = 1
+             AND COALESCE(MAX(CASE WHEN sentinel = '__deleted__' THEN ${_write_order()} || value END), '') NOT LIKE '%1'
+        ),
+        st_cells AS (
+          SELECT row_id, column_id, value, timestamp
+          FROM (
+            SELECT row_id, column_id, value, timestamp, MAX(${_write_order()}) FROM cell_history
+            WHERE table_id = ? AND timestamp <= ? AND sentinel IS NULL
+            GROUP BY row_id, column_id
+          )
+        )`,
+      binds: [table_id, as_of, table_id, as_of],
+    };
+  }
+  // Events after the snapshot can predate what it holds when they were pulled
+  // late, so both are merged in write order. A delete flag is appended to its
+  // event's write order to find the latest one with a MAX.
+  return {
+    sql: `
+      st_log AS (
+        SELECT id, row_id, column_id, sentinel, value, timestamp
+        FROM cell_history
+        WHERE table_id = ? AND id > ? AND timestamp <= ?
+      ),
+      st_rows AS (
+        SELECT row_id, MIN(created_at) AS created_at
+        FROM (
+          SELECT sr.row_id, sr.created_at, sr.has_content,
+                 COALESCE(${_write_order('d.')} || sr.is_deleted, '') AS deleted
+          FROM snapshot_rows sr
+          LEFT JOIN cell_history d ON d.id = sr.deleted_event_id
+          WHERE sr.snapshot_id = ?
+          UNION ALL
+          SELECT row_id, timestamp, sentinel IS NULL OR sentinel = '__new__',
+                 CASE WHEN sentinel = '__deleted__' THEN ${_write_order()} || (value = '1') ELSE '' END
+          FROM st_log
+        )
+        GROUP BY row_id
+        HAVING MAX(has_content) = 1 AND MAX(deleted) NOT LIKE '%1'
+      ),
+      st_cells AS (
+        SELECT row_id, column_id, value, timestamp
+        FROM (
+          SELECT row_id, column_id, value, timestamp, MAX(${_write_order()})
+          FROM (
+            SELECT row_id, column_id, value, timestamp, event_id AS id FROM snapshot_cells WHERE snapshot_id = ?
+            UNION ALL
+            SELECT row_id, column_id, value, timestamp, id FROM st_log WHERE sentinel IS NULL
+          )
+          GROUP BY row_id, column_id
+        )
+      )`,
+    binds: [table_id, snap.event_id, as_of, snap.id, snap.id],
+  };
+}
+
+// Interleave the as-of timestamp after every table_id binding
+function _as_of_binds(table_id, count, as_of) {
+  const binds = [];
+  for (let i = 0; i < count; i++) {
+    binds.push(table_id);
+    if (as_of) binds.push(as_of);
+  }
+  return binds;
 }
 
 // ---------------------------------------------------------------------------
 // Row helpers
 // ---------------------------------------------------------------------------
-async function get_rows({ table_id }) {
-  const raw = await exec(_reconstruction_sql(), [table_id, table_id]);
+async function get_rows({ table_id, as_of = null, row_ids = null }) {
+  const ctes = await _row_state_ctes(table_id, as_of);
+  const liveCol = as_of
+    ? 'c.created_at <= ? AND (c.deleted_at IS NULL OR c.deleted_at > ?)'
+    : 'c.deleted_at IS NULL';
+  const chunks = [];
+  if (row_ids) {
+    for (let i = 0; i < row_ids.length; i += 500) chunks.push(row_ids.slice(i, i + 500));
+  } else {
+    chunks.push(null);
+  }
   const rowMap = {};
+  for (const chunk of chunks) {
+    const raw = await exec(`
+      WITH ${ctes.sql}
+      SELECT r.row_id, r.created_at, c.name AS column_name, s.value, s.timestamp AS last_modified
+      FROM st_rows r
+      LEFT JOIN st_cells s ON s.row_id = r.row_id
+      LEFT JOIN columns c  ON c.id = s.column_id AND ${liveCol}
+      ${chunk ? `WHERE r.row_id IN (${chunk.map(() => '?').join(', ')})` : ''}
+      ORDER BY r.row_id, c.display_order
+    `, [...ctes.binds, ...(as_of ? [as_of, as_of] : []), ...(chunk ?? [])]);
+    for (const record of raw) {
+      const rid = record.row_id;
+      if (!rowMap[rid]) rowMap[rid] = { row_id: rid, cells: {}, _last_modified: null };
+      // Values of removed columns stay in the row state but not in the row
+      if (record.column_name === null) continue;
+      rowMap[rid].cells[record.column_name] = record.value;
+      if (!rowMap[rid]._last_modified || record.last_modified > rowMap[rid]._last_modified) {
+        rowMap[rid]._last_modified = record.last_modified;
+      }
+    }
+    for (const record of raw) rowMap[record.row_id]._last_modified ??= record.created_at;
+  }
+  // Narrowed to specific rows for incremental updates; missing ones are deleted
+  if (row_ids) return row_ids.filter(id => rowMap[id]).map(id => rowMap[id]);
+  return Object.values(rowMap);
+}
 
-  for (const record of raw) {
-    const rid = record.row_id;
-    if (!rowMap[rid]) {
-      rowMap[rid] = { row_id: rid, cells: {}, _last_modified: record.last_modified };
+// ---------------------------------------------------------------------------
+// Filtering — typed conditions turned into SQL for the paging query below.
+// A filter is { match: 'all'|'any', groups: [{ match, conditions: [...] }] }
+// and each condition is { column_id, op, value }.
+// ---------------------------------------------------------------------------
+function _filter_kind(col, fkMap) {
+  return fkMap[col.id] !== undefined ? 'fk' : (col.col_type || 'text');
+}
+
+function _validate_filter(filter, colsById, fkMap) {
+  if (!filter || !Array.isArray(filter.groups)) throw new Error('Invalid filter');
+  for (const group of filter.groups) {
+    if (!Array.isArray(group.conditions)) throw new Error('Invalid filter group');
+    for (const cond of group.conditions) {
+      const col = colsById[cond.column_id];
+      if (!col) throw new Error('Filter refers to a column that no longer exists');
+      const kind = _filter_kind(col, fkMap);
+      if (!FILTER_EMPTY_OPS.includes(cond.op) && !FILTER_OPS[kind].includes(cond.op)) {
+        throw new Error(`Operator "${cond.op}" does not apply to ${kind === 'fk' ? 'linked' : kind} column "${col.name}"`);
+      }
+      if (cond.op === 'between' && (!Array.isArray(cond.value) || cond.value.length !== 2)) {
+        throw new Error(`"between" on "${col.name}" needs a lower and an upper bound`);
+      }
+    }
+  }
+}
+
+// Dates compare as YYYY-MM-DD text and datetimes as wall-clock text with
+// every field filled in, YYYY-MM-DDTHH:MM:SS.sss. No time zone is applied,
+// and _time_key_sql builds the same key for filters, so rule checks and
+// filters agree on which value comes first.
+function _time_key(kind, v) {
+  if (kind === 'date') return String(v).slice(0, 10);
+  const m = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?/.exec(String(v));
+  if (!m) return null;
+  return `${m[1]}T${m[2]}:${m[3]}:${m[4] ?? '00'}${(m[5] ?? '.').padEnd(4, '0').slice(0, 4)}`;
+}
+
+function _time_key_sql(kind, x) {
+  return kind === 'date' ? `substr(${x}, 1, 10)` : `strftime('%Y-%m-%dT%H:%M:%f', ${x})`;
+}
+
+function _compare_time(kind, raw, target) {
+  const a = _time_key(kind, raw);
+  const b = _time_key(kind, target);
+  if (a === null || b === null) return NaN;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Only digits, signs, dots and exponents, with at least one digit: close
+// enough to what Number() accepts for values written before types were checked
+function _sql_is_number(v) {
+  return `COALESCE(trim(${v}) <> '' AND trim(${v}) NOT GLOB '*[^0-9.eE+-]*' AND trim(${v}) GLOB '*[0-9]*', 0)`;
+}
+
+// One condition as SQL over the cell value expression v
+function _condition_sql(cond, v, kind) {
+  if (cond.op === 'is_empty') return { sql: `(${v} IS NULL OR ${v} = '')`, binds: [] };
+  if (cond.op === 'is_not_empty') return { sql: `(${v} IS NOT NULL AND ${v} <> '')`, binds: [] };
+  const val = cond.value;
+  switch (kind) {
+    case 'boolean': {
+      const on = `COALESCE(${v} IN ('1', 'true'), 0)`;
+      return { sql: cond.op === 'is_true' ? on : `NOT ${on}`, binds: [] };
+    }
+    case 'number': {
+      const isNum = _sql_is_number(v);
+      const n = `CAST(trim(${v}) AS REAL)`;
+      const num = (x) => (Number.isNaN(Number(x)) ? null : Number(x));
+      // Anything that is not a number only ever differs from one
+      if (cond.op === 'neq') return { sql: `(NOT ${isNum} OR ${n} IS NOT ?)`, binds: [num(val)] };
+      if (cond.op === 'between') return { sql: `(${isNum} AND ${n} BETWEEN ? AND ?)`, binds: [num(val[0]), num(val[1])] };
+      const cmp = { eq: '=', lt: '<', lte: '<=', gt: '>', gte: '>=' }[cond.op];
+      return { sql: `(${isNum} AND ${n} ${cmp} ?)`, binds: [num(val)] };
+    }
+    case 'date':
+    case 'datetime': {
+      // "on" matches the whole day, for datetimes too
+      const at = (x) => _time_key_sql(kind, x);
+      if (cond.op === 'on') return { sql: `(${v} <> '' AND substr(${v}, 1, 10) = substr(?, 1, 10))`, binds: [String(val)] };
+      if (cond.op === 'before') return { sql: `(${v} <> '' AND ${at(v)} < ${at('?')})`, binds: [String(val)] };
+      if (cond.op === 'after') return { sql: `(${v} <> '' AND ${at(v)} > ${at('?')})`, binds: [String(val)] };
+      return {
+        sql: `(${v} <> '' AND ${at(v)} >= ${at('?')} AND ${at(v)} <= ${at('?')})`,
+        binds: [String(val[0]), String(val[1])],
+      };
+    }
+    case 'select': {
+      const set = Array.isArray(val) ? val : [val];
+      if (set.length === 0) return { sql: cond.op === 'any_of' ? '0' : '1', binds: [] };
+      const list = set.map(() => '?').join(', ');
+      return cond.op === 'any_of'
+        ? { sql: `${v} IN (${list})`, binds: set }
+        : { sql: `(${v} IS NULL OR ${v} NOT IN (${list}))`, binds: set };
+    }
+    case 'fk':
+      return cond.op === 'points_to'
+        ? { sql: `${v} = ?`, binds: [val] }
+        : { sql: `${v} IS NOT ?`, binds: [val] };
+    default: {
+      const text = `fold_case(COALESCE(${v}, ''))`;
+      const needle = String(val ?? '').toLowerCase();
+      switch (cond.op) {
+        case 'contains':     return { sql: `instr(${text}, ?) > 0`, binds: [needle] };
+        case 'not_contains': return { sql: `instr(${text}, ?) = 0`, binds: [needle] };
+        case 'equals':       return { sql: `${text} = ?`, binds: [needle] };
+        case 'not_equals':   return { sql: `${text} <> ?`, binds: [needle] };
+        case 'starts_with':  return { sql: `substr(${text}, 1, length(?)) = ?`, binds: [needle, needle] };
+        case 'ends_with':    return { sql: `(? = '' OR substr(${text}, -length(?)) = ?)`, binds: [needle, needle, needle] };
+      }
+      return { sql: '0', binds: [] };
+    }
+  }
+}
+
+// Groups of conditions joined by their match mode; cellOf(column_id) names
+// the SQL expression holding that column's value for the row
+function _filter_sql(filter, colsById, fkMap, cellOf) {
+  const binds = [];
+  const groups = filter.groups.filter(g => g.conditions.length > 0).map(group => {
+    const parts = group.conditions.map(cond => {
+      const col = colsById[cond.column_id];
+      const part = _condition_sql(cond, cellOf(col.id), _filter_kind(col, fkMap));
+      binds.push(...part.binds);
+      return part.sql;
+    });
+    return `(${parts.join(group.match === 'any' ? ' OR ' : ' AND ')})`;
+  });
+  if (groups.length === 0) return { sql: '1', binds };
+  return { sql: `(${groups.join(filter.match === 'any' ? ' OR ' : ' AND ')})`, binds };
+}
+
+// ---------------------------------------------------------------------------
+// Paging — the table asks for one slice of rows at a time. Sorting, filters
+// and search all run as SQL over the row state, so only the slice and the
+// counts leave the worker.
+// ---------------------------------------------------------------------------
+const PAGE_LIMIT_MAX = 1000;
+
+// ORDER BY terms for one sort key. Empty cells stay at the bottom whichever
+// way the column is sorted, just above them values that did not parse as the
+// column's type; FK columns sort by the label of the row they point to.
+function _sort_terms(col, dir, v, fkMap) {
+  if (fkMap[col.id] === undefined && col.col_type === 'boolean') {
+    return { terms: [`(CASE WHEN ${v} IN ('1', 'true') THEN 1 ELSE 0 END) ${dir}`], binds: [] };
+  }
+  const empty = `(${v} IS NULL OR trim(${v}) = '') ASC`;
+  if (fkMap[col.id] !== undefined) {
+    const label = `(
+      SELECT lc.value FROM current_cells lc
+      JOIN columns c ON c.id = lc.column_id
+      WHERE lc.table_id = ? AND lc.row_id = ${v} AND c.deleted_at IS NULL
+        AND lc.value IS NOT NULL AND lc.value != ''
+      ORDER BY c.display_order, c.id
+      LIMIT 1
+    )`;
+    return { terms: [empty, `sort_key(COALESCE(${label}, ${v})) ${dir}`], binds: [fkMap[col.id]] };
+  }
+  let typed = null;
+  let parsed = null;
+  const binds = [];
+  switch (col.col_type) {
+    case 'number':
+      typed = `CAST(trim(${v}) AS REAL)`;
+      parsed = _sql_is_number(v);
+      break;
+    case 'date':
+    case 'datetime':
+      typed = `julianday(${v})`;
+      parsed = `(${typed} IS NOT NULL)`;
+      break;
+    // Choices sort in the order they were defined in
+    case 'select': {
+      const choices = (col.col_choices || '').split(',').map(c => c.trim()).filter(Boolean);
+      if (choices.length === 0) break;
+      typed = `(CASE ${v} ${choices.map(() => 'WHEN ? THEN ?').join(' ')} END)`;
+      choices.forEach((c, i) => binds.push(c, i));
+      parsed = `(${typed} IS NOT NULL)`;
+      break;
     }
-    rowMap[rid].cells[record.column_name] = record.value;
-    if (record.last_modified > rowMap[rid]._last_modified) {
-      rowMap[rid]._last_modified = record.last_modified;
+  }
+  if (!typed) return { terms: [empty, `sort_key(${v}) ${dir}`], binds };
+  // The choice list appears twice, so its binds do too
+  return {
+    terms: [empty, `NOT ${parsed} ASC`, `${typed} ${dir}`, `sort_key(${v}) ${dir}`],
+    binds: col.col_type === 'select' ? [...binds, ...binds] : binds,
+  };
+}
+
+async function get_row_page({
+  table_id, as_of = null, sort = [], filter = null, search = '', keep_row_ids = [],
+  offset = 0, limit = 200, around_row_id = null,
+}) {
+  const cols = await get_columns({ table_id, as_of });
+  const colsById = {};
+  for (const c of cols) colsById[c.id] = c;
+  const fkMap = await _get_fk_map_for_table(table_id);
+  if (filter) _validate_filter(filter, colsById, fkMap);
+  limit = Math.max(1, Math.min(PAGE_LIMIT_MAX, Number(limit) || 1));
+
+  // One LEFT JOIN per column the filter or sort looks at
+  const joins = [];
+  const joinBinds = [];
+  const aliasOf = {};
+  const cellOf = (column_id) => {
+    if (!aliasOf[column_id]) {
+      aliasOf[column_id] = `k${joins.length}`;
+      joins.push(`LEFT JOIN st_cells ${aliasOf[column_id]} ON ${aliasOf[column_id]}.row_id = r.row_id AND ${aliasOf[column_id]}.column_id = ?`);
+      joinBinds.push(column_id);
     }
+    return `${aliasOf[column_id]}.value`;
+  };
+
+  const where = [];
+  const whereBinds = [];
+  if (filter) {
+    const f = _filter_sql(filter, colsById, fkMap, cellOf);
+    where.push(f.sql);
+    whereBinds.push(...f.binds);
+  }
+  const q = String(search ?? '').trim().toLowerCase();
+  if (q) {
+    where.push(`EXISTS (
+      SELECT 1 FROM st_cells s
+      WHERE s.row_id = r.row_id AND s.column_id IN (${cols.map(() => '?').join(', ') || 'NULL'})
+        AND instr(fold_case(s.value), ?) > 0
+    )`);
+    whereBinds.push(...cols.map(c => c.id), q);
   }
+  let whereSql = where.length ? where.join(' AND ') : '1';
+  // Rows the page asked to keep, such as one just added, show even when
+  // they don't match
+  if (keep_row_ids.length > 0 && where.length > 0) {
+    whereSql = `(${whereSql}) OR r.row_id IN (${keep_row_ids.map(() => '?').join(', ')})`;
+    whereBinds.push(...keep_row_ids);
+  }
+
+  const order = [];
+  const orderBinds = [];
+  for (const key of sort) {
+    const col = colsById[key.column_id];
+    if (!col) continue;
+    const t = _sort_terms(col, key.dir === 'desc' ? 'DESC' : 'ASC', cellOf(col.id), fkMap);
+    order.push(...t.terms);
+    orderBinds.push(...t.binds);
+  }
+  order.push('r.created_at', 'r.row_id');
+
+  const ctes = await _row_state_ctes(table_id, as_of);
+  const from = `FROM st_rows r ${joins.join(' ')} WHERE ${whereSql}`;
+  const baseBinds = [...ctes.binds, ...joinBinds, ...whereBinds];
 
-  const emptyRows = await exec(_empty_rows_sql(), [table_id, table_id, table_id]);
-  for (const record of emptyRows) {
-    if (!rowMap[record.row_id]) {
-      rowMap[record.row_id] = { row_id: record.row_id, cells: {}, _last_modified: record.timestamp };
+  const [{ total }] = await exec(`WITH ${ctes.sql} SELECT COUNT(*) AS total FROM st_rows`, ctes.binds);
+  const [{ matched }] = await exec(`WITH ${ctes.sql} SELECT COUNT(*) AS matched ${from}`, baseBinds);
+
+  let position = null;
+  if (around_row_id) {
+    const [found] = await exec(`
+      WITH ${ctes.sql},
+      ordered AS (SELECT r.row_id, ROW_NUMBER() OVER (ORDER BY ${order.join(', ')}) - 1 AS pos ${from})
+      SELECT pos FROM ordered WHERE row_id = ?
+    `, [...ctes.binds, ...orderBinds, ...joinBinds, ...whereBinds, around_row_id]);
+    if (found) {
+      position = found.pos;
+      offset = position - Math.floor(limit / 2);
     }
   }
+  offset = Math.max(0, Math.min(Number(offset) || 0, matched - limit));
 
-  return Object.values(rowMap);
+  const ids = await exec(
+    `WITH ${ctes.sql} SELECT r.row_id ${from} ORDER BY ${order.join(', ')} LIMIT ? OFFSET ?`,
+    [...baseBinds, ...orderBinds, limit, offset]
+  );
+  const rows = await get_rows({ table_id, as_of, row_ids: ids.map(r => r.row_id) });
+  return { rows, offset, matched, total, position };
 }
 
 async function create_row({ table_id, cells = {} }) {
   const colMap = await _col_map_for_table(table_id);
   const fkMap  = await _get_fk_map_for_table(table_id);
+  const row_id = await _insert_row(table_id, cells, colMap, fkMap);
+  _push_undo('row creation', table_id,
+    [['delete_row', { table_id, row_id }]],
+    [['restore_row', { table_id, row_id }]]);
+  return { row_id };
+}
+
+// Validate and write one new row; shared by create_row and import_rows
+async function _insert_row(table_id, cells, colMap, fkMap) {
   const row_id = crypto.randomUUID();
 
   // Validate before writing anything
+  cells = _normalize_cells(_with_defaults(cells, colMap), colMap, fkMap);
+  for (const [colName, col] of Object.entries(colMap)) _check_required(col, colName, cells[colName]);
   for (const [colName, value] of Object.entries(cells)) {
     const col = colMap[colName];
     if (!col || !value) continue;
+    _check_rules(col, colName, value);
     if (col.is_unique) {
       await _check_uniqueness(table_id, col.id, colName, value, row_id);
     }
@@ -549,23 +2000,54 @@ async function create_row({ table_id, cells = {} }) {
       await _check_fk_exists(fkMap[col.id], value, colName);
     }
   }
+  await _check_composite_uniqueness(table_id, cells, colMap, row_id);
 
   // Write __new__ sentinel
+  const author = await _author();
   await exec(
-    `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value) VALUES (?, ?, NULL, '__new__', NULL)`,
-    [table_id, row_id]
+    `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, author) VALUES (?, ?, NULL, '__new__', NULL, ?)`,
+    [table_id, row_id, author]
   );
   // Write initial cells
   for (const [colName, value] of Object.entries(cells)) {
     const col = colMap[colName];
     if (col && value) {
       await exec(
-        `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value) VALUES (?, ?, ?, NULL, ?)`,
-        [table_id, row_id, col.id, value]
+        `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, author) VALUES (?, ?, ?, NULL, ?, ?)`,
+        [table_id, row_id, col.id, value, author]
       );
     }
   }
-  return { row_id };
+  return row_id;
+}
+
+// Bulk create — a row that fails validation is reported and skipped rather
+// than aborting the import, unless atomic is set, in which case the rows go
+// in as one batch and the first failure imports nothing. The whole import is
+// a single undo step.
+async function import_rows({ table_id, rows, atomic = false }) {
+  if (atomic && rows.length > 0) {
+    const label = `import of ${rows.length} row(s)`;
+    await batch({ ops: rows.map(r => ({ op: 'create', table_id, cells: r.cells || {} })), label });
+    return { imported: rows.length, failures: [] };
+  }
+  const colMap = await _col_map_for_table(table_id);
+  const fkMap  = await _get_fk_map_for_table(table_id);
+  const created  = [];
+  const failures = [];
+  for (let i = 0; i < rows.length; i++) {
+    try {
+      created.push(await _transaction(() => _insert_row(table_id, rows[i].cells || {}, colMap, fkMap)));
+    } catch (e) {
+      failures.push({ index: i, error: e.message });
+    }
+  }
+  if (created.length > 0) {
+    _push_undo(`import of ${created.length} row(s)`, table_id,
+      created.map(row_id => ['delete_row', { table_id, row_id }]),
+      created.map(row_id => ['restore_row', { table_id, row_id }]));
+  }
+  return { imported: created.length, failures };
 }
 
 async function update_row({ table_id, row_id, cells }) {
@@ -574,9 +2056,12 @@ async function update_row({ table_id, row_id, cells }) {
   let inserted = false;
 
   // Validate first
+  cells = _normalize_cells(cells, colMap, fkMap);
   for (const [colName, value] of Object.entries(cells)) {
     const col = colMap[colName];
     if (col === undefined) continue;
+    _check_required(col, colName, value);
+    _check_rules(col, colName, value);
     if (value && col.is_unique) {
       await _check_uniqueness(table_id, col.id, colName, value, row_id);
     }
@@ -584,18 +2069,29 @@ async function update_row({ table_id, row_id, cells }) {
       await _check_fk_exists(fkMap[col.id], value, colName);
     }
   }
+  const current = await _latest_cells_for_row(table_id, row_id);
+  await _check_composite_uniqueness(table_id, { ...current, ...cells }, colMap, row_id, new Set(Object.keys(cells)));
 
-  // Write
+  // Write — remembering the previous values so the edit can be undone
+  const author = await _author();
+  const before = {};
+  const after  = {};
   for (const [colName, value] of Object.entries(cells)) {
     const col = colMap[colName];
     if (col === undefined) continue;
+    before[colName] = current[colName] ?? null;
+    after[colName]  = value;
     await exec(
-      `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value) VALUES (?, ?, ?, NULL, ?)`,
-      [table_id, row_id, col.id, value]
+      `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, author) VALUES (?, ?, ?, NULL, ?, ?)`,
+      [table_id, row_id, col.id, value, author]
     );
     inserted = true;
   }
   if (!inserted) throw new Error('No valid columns found in update');
+  const edited = Object.keys(after);
+  _push_undo(edited.length === 1 ? `edit of "${edited[0]}"` : 'row edit', table_id,
+    [['update_row', { table_id, row_id, cells: before }]],
+    [['update_row', { table_id, row_id, cells: after }]]);
   return { row_id };
 }
 
@@ -612,24 +2108,12 @@ async function delete_row({ table_id, row_id }) {
 
   for (const fk of inbound) {
     const refs = await exec(`
-      WITH latest AS (
-        SELECT row_id, column_id, MAX(id) AS max_id
-        FROM cell_history WHERE table_id = ? AND sentinel IS NULL
-        GROUP BY row_id, column_id
-      ),
-      deleted_rows AS (
-        SELECT row_id FROM cell_history
-        WHERE table_id = ? AND sentinel = '__deleted__'
-        GROUP BY row_id
-        HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-               MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
-      )
       SELECT COUNT(*) AS cnt
-      FROM latest l
-      JOIN cell_history ch ON ch.id = l.max_id
-      WHERE l.column_id = ? AND ch.value = ?
-        AND l.row_id NOT IN (SELECT row_id FROM deleted_rows)
-    `, [fk.from_table_id, fk.from_table_id, fk.from_column_id, row_id]);
+      FROM current_cells cc
+      JOIN current_rows r ON r.table_id = cc.table_id AND r.row_id = cc.row_id
+      WHERE cc.column_id = ? AND cc.value = ? AND cc.table_id = ?
+        AND r.is_deleted = 0
+    `, [fk.from_column_id, row_id, fk.from_table_id]);
 
     if (refs[0].cnt > 0) {
       throw new Error(
@@ -639,15 +2123,127 @@ async function delete_row({ table_id, row_id }) {
   }
 
   await exec(
-    `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value) VALUES (?, ?, NULL, '__deleted__', '1')`,
-    [table_id, row_id]
+    `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, author) VALUES (?, ?, NULL, '__deleted__', '1', ?)`,
+    [table_id, row_id, await _author()]
   );
+  _push_undo('row deletion', table_id,
+    [['restore_row', { table_id, row_id }]],
+    [['delete_row', { table_id, row_id }]]);
   return null;
 }
 
+// Latest value per live column for one row { colName -> value }
+async function _latest_cells_for_row(table_id, row_id) {
+  const raw = await exec(`
+    SELECT c.name AS column_name, cc.value
+    FROM current_cells cc
+    JOIN columns c ON c.id = cc.column_id
+    WHERE cc.table_id = ? AND cc.row_id = ? AND c.deleted_at IS NULL
+  `, [table_id, row_id]);
+  const cells = {};
+  for (const record of raw) cells[record.column_name] = record.value;
+  return cells;
+}
+
+async function get_deleted_rows({ table_id }) {
+  const raw = await exec(`
+    SELECT r.row_id, d.timestamp AS deleted_at, c.name AS column_name, cc.value
+    FROM current_rows r
+    JOIN cell_history d       ON d.id = r.deleted_event_id
+    LEFT JOIN current_cells cc ON cc.table_id = r.table_id AND cc.row_id = r.row_id
+    LEFT JOIN columns c        ON c.id = cc.column_id AND c.deleted_at IS NULL
+    WHERE r.table_id = ? AND r.is_deleted = 1
+    ORDER BY deleted_at DESC, r.row_id, c.display_order
+  `, [table_id]);
+  const rowMap = new Map();
+  for (const record of raw) {
+    if (!rowMap.has(record.row_id)) {
+      rowMap.set(record.row_id, { row_id: record.row_id, cells: {}, deleted_at: record.deleted_at });
+    }
+    // Values of removed columns stay in the row state but not in the row
+    if (record.column_name === null) continue;
+    rowMap.get(record.row_id).cells[record.column_name] = record.value;
+  }
+  return [...rowMap.values()];
+}
+
+async function restore_row({ table_id, row_id }) {
+  const [state] = await exec(
+    `SELECT is_deleted FROM current_rows WHERE table_id = ? AND row_id = ?`, [table_id, row_id]
+  );
+  if (!state || !state.is_deleted) throw new Error('Row is not deleted');
+
+  // Re-validate the row's last known cells against the current live rows
+  const colMap = await _col_map_for_table(table_id);
+  const fkMap  = await _get_fk_map_for_table(table_id);
+  const cells  = await _latest_cells_for_row(table_id, row_id);
+  try {
+    for (const [colName, value] of Object.entries(cells)) {
+      const col = colMap[colName];
+      if (!col || !value) continue;
+      if (col.is_unique) {
+        await _check_uniqueness(table_id, col.id, colName, value, row_id);
+      }
+      if (fkMap[col.id] !== undefined) {
+        await _check_fk_exists(fkMap[col.id], value, colName);
+      }
+    }
+    await _check_composite_uniqueness(table_id, cells, colMap, row_id);
+  } catch (e) {
+    throw new Error(`Cannot restore row: ${e.message}`);
+  }
+
+  await exec(
+    `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, author) VALUES (?, ?, NULL, '__deleted__', '0', ?)`,
+    [table_id, row_id, await _author()]
+  );
+  _push_undo('row restore', table_id,
+    [['delete_row', { table_id, row_id }]],
+    [['restore_row', { table_id, row_id }]]);
+  return { row_id };
+}
+
+// Write the row's cells back to how they stood right after history event
+// event_id. Goes through update_row, so the usual validation applies and the
+// revert lands in the log (and the undo stack) as an ordinary edit.
+async function revert_row({ table_id, row_id, event_id }) {
+  const [target] = await exec(
+    `SELECT id, timestamp FROM cell_history WHERE id = ? AND table_id = ? AND row_id = ?`,
+    [event_id, table_id, row_id]
+  );
+  if (!target) throw new Error('History entry not found for this row');
+
+  const past = await exec(`
+    WITH latest AS (
+      SELECT column_id, value, MAX(${_write_order()})
+      FROM cell_history
+      WHERE table_id = ? AND row_id = ? AND sentinel IS NULL AND (timestamp, id) <= (?, ?)
+      GROUP BY column_id
+    )
+    SELECT c.name AS column_name, l.value
+    FROM latest l
+    JOIN columns c ON c.id = l.column_id
+    WHERE c.deleted_at IS NULL
+  `, [table_id, row_id, target.timestamp, target.id]);
+  const then = {};
+  for (const record of past) then[record.column_name] = record.value;
+
+  // Only write cells that differ; columns unset at that point are cleared
+  const current = await _latest_cells_for_row(table_id, row_id);
+  const cells = {};
+  for (const colName of new Set([...Object.keys(then), ...Object.keys(current)])) {
+    const was = then[colName] ?? null;
+    const is  = current[colName] ?? null;
+    if ((was ?? '') !== (is ?? '')) cells[colName] = was;
+  }
+  if (Object.keys(cells).length === 0) return { row_id, changed: 0 };
+  await update_row({ table_id, row_id, cells });
+  return { row_id, changed: Object.keys(cells).length };
+}
+
 async function get_row_history({ table_id, row_id }) {
   const raw = await exec(`
-    SELECT ch.id, ch.row_id, ch.sentinel, c.name AS column_name, c.id AS column_id, ch.value, ch.timestamp
+    SELECT ch.id, ch.row_id, ch.sentinel, c.name AS column_name, c.id AS column_id, ch.value, ch.timestamp, ch.author
     FROM cell_history ch
     LEFT JOIN columns c ON c.id = ch.column_id
     WHERE ch.table_id = ? AND ch.row_id = ?
@@ -669,6 +2265,126 @@ async function get_row_history({ table_id, row_id }) {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Activity feed — recent cell events across a table or the whole database
+// ---------------------------------------------------------------------------
+const ACTIVITY_KIND_SQL = `
+  CASE
+    WHEN ch.sentinel = '__new__' THEN 'create'
+    WHEN ch.sentinel = '__deleted__' AND ch.value = '1' THEN 'delete'
+    WHEN ch.sentinel = '__deleted__' THEN 'restore'
+    ELSE 'edit'
+  END`;
+
+async function get_activity({
+  table_id = null, column_id = null, kinds = null, author = null,
+  since = null, until = null, before_id = null, limit = 100,
+}) {
+  const where = [];
+  const binds = [];
+  const add = (sql, ...values) => { where.push(sql); binds.push(...values); };
+  if (table_id !== null)  add('ch.table_id = ?', table_id);
+  if (column_id !== null) add('ch.column_id = ?', column_id);
+  if (kinds && kinds.length) add(`${ACTIVITY_KIND_SQL} IN (${kinds.map(() => '?').join(', ')})`, ...kinds);
+  if (author !== null)    add(`COALESCE(ch.author, 'unknown') = ?`, author);
+  if (since !== null)     add('ch.timestamp >= ?', since);
+  if (until !== null)     add('ch.timestamp <= ?', until);
+  if (before_id !== null) add('ch.id < ?', before_id);
+
+  const entries = await exec(`
+    SELECT ch.id, ch.table_id, t.name AS table_name, ch.row_id, ch.column_id, c.name AS column_name,
+           ch.sentinel, ch.value, ch.timestamp, COALESCE(ch.author, 'unknown') AS author,
+           ${ACTIVITY_KIND_SQL} AS kind
+    FROM cell_history ch
+    JOIN tables t ON t.id = ch.table_id AND t.deleted_at IS NULL
+    LEFT JOIN columns c ON c.id = ch.column_id
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY ch.id DESC
+    LIMIT ?
+  `, [...binds, limit + 1]);
+  const more = entries.length > limit;
+  if (more) entries.pop();
+
+  // Label each row, and each FK value by the row it points to
+  const fkTarget = {};
+  for (const fk of await exec(`SELECT from_column_id, to_table_id FROM foreign_keys WHERE deleted_at IS NULL`)) {
+    fkTarget[fk.from_column_id] = fk.to_table_id;
+  }
+  const wanted = {};
+  const want = (tid, rid) => { (wanted[tid] ??= new Set()).add(rid); };
+  for (const e of entries) {
+    want(e.table_id, e.row_id);
+    if (e.value && fkTarget[e.column_id] !== undefined) want(fkTarget[e.column_id], e.value);
+  }
+  const labels = {};
+  for (const [tid, ids] of Object.entries(wanted)) {
+    labels[tid] = await _row_labels(Number(tid), [...ids]);
+  }
+  for (const e of entries) {
+    e.row_label = labels[e.table_id]?.[e.row_id] ?? null;
+    const target = fkTarget[e.column_id];
+    e.value_label = e.value && target !== undefined ? labels[target]?.[e.value] ?? null : null;
+  }
+
+  const authorRows = await exec(
+    `SELECT DISTINCT COALESCE(author, 'unknown') AS author FROM cell_history ${table_id !== null ? 'WHERE table_id = ?' : ''} ORDER BY 1`,
+    table_id !== null ? [table_id] : []
+  );
+  return { entries, more, authors: authorRows.map(r => r.author) };
+}
+
+// First non-empty current value per row in column order, deleted rows included
+async function _row_labels(table_id, row_ids) {
+  const labels = {};
+  for (let i = 0; i < row_ids.length; i += 500) {
+    const chunk = row_ids.slice(i, i + 500);
+    const found = await exec(`
+      SELECT cc.row_id, cc.value
+      FROM current_cells cc
+      JOIN columns c ON c.id = cc.column_id
+      WHERE cc.table_id = ? AND cc.row_id IN (${chunk.map(() => '?').join(', ')})
+        AND c.deleted_at IS NULL AND cc.value IS NOT NULL AND cc.value != ''
+      ORDER BY c.display_order, c.id
+    `, [table_id, ...chunk]);
+    for (const r of found) labels[r.row_id] ??= r.value;
+  }
+  return labels;
+}
+
+// ---------------------------------------------------------------------------
+// Batch — row creates, updates and deletes applied all-or-nothing. They run
+// in order inside one transaction, so each is validated against the changes
+// before it (two new rows cannot share a unique value), and the first
+// failure rolls back the lot. A batch that succeeds is a single undo step.
+//   ops: [{ op: 'create', table_id, cells } | { op: 'update', table_id, row_id, cells }
+//         | { op: 'delete', table_id, row_id }]
+// ---------------------------------------------------------------------------
+const BATCH_OPS = { create: create_row, update: update_row, delete: delete_row };
+
+async function batch({ ops, label = null }) {
+  if (!Array.isArray(ops) || ops.length === 0) throw new Error('Nothing to apply');
+  return _transaction(async () => {
+    const undoMark = _pendingUndo.length;
+    const results = [];
+    for (let i = 0; i < ops.length; i++) {
+      const { op, ...payload } = ops[i] ?? {};
+      try {
+        if (!Object.hasOwn(BATCH_OPS, op)) throw new Error(`Unknown operation "${op}"`);
+        results.push(await BATCH_OPS[op](payload));
+      } catch (e) {
+        throw new Error(`Change ${i + 1} of ${ops.length} failed, nothing was applied: ${e.message}`);
+      }
+    }
+    const steps = _pendingUndo.splice(undoMark);
+    if (steps.length > 0) {
+      _push_undo(label ?? `${ops.length} change(s)`, steps[0].table_id,
+        [...steps].reverse().flatMap(e => e.undo),
+        steps.flatMap(e => e.redo));
+    }
+    return { results };
+  });
+}
+
 // ---------------------------------------------------------------------------
 // FK helpers
 // ---------------------------------------------------------------------------
@@ -710,18 +2426,26 @@ async function create_foreign_key({ from_column_id, to_table_id }) {
     `INSERT INTO foreign_keys (from_column_id, to_table_id) VALUES (?, ?)`,
     [from_column_id, to_table_id]
   );
+  await _record_schema_event(fromCol.table_id, from_column_id, 'fk_created', null, String(to_table_id));
   return { id, from_column_id, to_table_id };
 }
 
 async function delete_foreign_key({ id }) {
+  const [fk] = await exec(`
+    SELECT fk.from_column_id, fk.to_table_id, c.table_id
+    FROM foreign_keys fk JOIN columns c ON c.id = fk.from_column_id
+    WHERE fk.id = ? AND fk.deleted_at IS NULL
+  `, [id]);
+  if (!fk) throw new Error('Relationship not found');
   await exec(
     `UPDATE foreign_keys SET deleted_at = strftime('%Y-%m-%dT%H:%M:%f', 'now') WHERE id = ? AND deleted_at IS NULL`,
     [id]
   );
+  await _record_schema_event(fk.table_id, fk.from_column_id, 'fk_deleted', String(fk.to_table_id), null);
   return null;
 }
 
-async function get_fk_options({ column_id }) {
+async function get_fk_options({ column_id, as_of = null }) {
   // Find which table this FK points to
   const [fkDef] = await exec(
     `SELECT to_table_id FROM foreign_keys WHERE from_column_id = ? AND deleted_at IS NULL`,
@@ -730,79 +2454,1428 @@ async function get_fk_options({ column_id }) {
   if (!fkDef) return [];
 
   const to_table_id = fkDef.to_table_id;
+  if (!as_of) {
+    return exec(`
+      SELECT r.row_id, (
+        SELECT cc.value
+        FROM current_cells cc
+        JOIN columns c ON c.id = cc.column_id
+        WHERE cc.table_id = r.table_id AND cc.row_id = r.row_id AND c.deleted_at IS NULL
+          AND cc.value IS NOT NULL AND cc.value != ''
+        ORDER BY c.display_order, c.id
+        LIMIT 1
+      ) AS label
+      FROM current_rows r
+      WHERE r.table_id = ? AND r.is_deleted = 0
+      ORDER BY r.row_id
+    `, [to_table_id]);
+  }
+  const upTo = 'AND timestamp <= ?';
 
   const rows = await exec(`
     WITH latest AS (
-      SELECT row_id, column_id, MAX(id) AS max_id
-      FROM cell_history WHERE table_id = ? AND sentinel IS NULL
+      SELECT row_id, column_id, value, MAX(${_write_order()})
+      FROM cell_history WHERE table_id = ? ${upTo} AND sentinel IS NULL
       GROUP BY row_id, column_id
     ),
     deleted_rows AS (
       SELECT row_id FROM cell_history
-      WHERE table_id = ? AND sentinel = '__deleted__'
+      WHERE table_id = ? ${upTo} AND sentinel = '__deleted__'
       GROUP BY row_id
-      HAVING MAX(CASE WHEN value = '1' THEN id ELSE 0 END) >
-             MAX(CASE WHEN value = '0' THEN id ELSE 0 END)
+      HAVING MAX(${_write_order()} || value) LIKE '%1'
     ),
     live_rows AS (
       SELECT DISTINCT row_id FROM cell_history
-      WHERE table_id = ? AND sentinel = '__new__'
+      WHERE table_id = ? ${upTo} AND sentinel = '__new__'
         AND row_id NOT IN (SELECT row_id FROM deleted_rows)
     ),
     ranked AS (
-      SELECT l.row_id, ch.value,
+      SELECT l.row_id, l.value,
              ROW_NUMBER() OVER (PARTITION BY l.row_id ORDER BY c.display_order, c.id) AS rn
       FROM latest l
-      JOIN cell_history ch ON ch.id = l.max_id
       JOIN columns c ON c.id = l.column_id
       WHERE l.row_id IN (SELECT row_id FROM live_rows)
-        AND ch.value IS NOT NULL AND ch.value != ''
+        AND l.value IS NOT NULL AND l.value != ''
         AND c.deleted_at IS NULL
     )
     SELECT lr.row_id, r.value AS label
     FROM live_rows lr
     LEFT JOIN ranked r ON r.row_id = lr.row_id AND r.rn = 1
     ORDER BY lr.row_id
-  `, [to_table_id, to_table_id, to_table_id]);
+  `, _as_of_binds(to_table_id, 3, as_of));
 
   return rows;
 }
 
 // ---------------------------------------------------------------------------
-// Message dispatcher
+// Composite unique constraints — a set of columns whose values together may
+// appear in only one live row (e.g. Project + Version). As with single-column
+// uniqueness, a row with any of those columns empty never counts as a
+// duplicate. A constraint is identified by its table and column set, so
+// dropping and re-adding the same set revives the same record.
 // ---------------------------------------------------------------------------
-const handlers = {
-  // Table
-  get_tables,
-  create_table,
-  rename_table,
-  delete_table,
-  // Column
-  get_columns,
-  create_column,
-  rename_column,
-  set_column_unique,
-  set_column_type,
-  delete_column,
-  // Row
-  get_rows,
-  create_row,
-  update_row,
-  delete_row,
-  get_row_history,
-  // FK
-  get_foreign_keys,
-  create_foreign_key,
-  delete_foreign_key,
-  get_fk_options,
-};
+async function _unique_constraints_for_table(table_id) {
+  const found = await exec(
+    `SELECT id, column_ids FROM unique_constraints WHERE table_id = ? AND deleted_at IS NULL ORDER BY id`,
+    [table_id]
+  );
+  return found.map(u => ({ id: u.id, column_ids: JSON.parse(u.column_ids) }));
+}
+
+function _names_by_id(colMap) {
+  const names = {};
+  for (const [colName, col] of Object.entries(colMap)) names[col.id] = colName;
+  return names;
+}
+
+function _constraint_label(column_ids, nameById) {
+  return column_ids.map(id => `"${nameById[id] ?? '(unknown column)'}"`).join(' + ');
+}
+
+// Rows ({ row_id, cells }) sharing the same values in every named column
+function _duplicate_groups(rows, names) {
+  const groups = new Map();
+  for (const row of rows) {
+    const values = names.map(n => row.cells[n] ?? null);
+    if (values.some(v => v === null || v === '')) continue;
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) groups.set(key, { values, row_ids: [] });
+    groups.get(key).row_ids.push(row.row_id);
+  }
+  return [...groups.values()].filter(g => g.row_ids.length > 1);
+}
+
+// cells holds the row's complete values by column name; only constraints
+// over a column in `touched` (all of them when omitted) are checked
+async function _check_composite_uniqueness(table_id, cells, colMap, excluding_row_id, touched = null) {
+  const constraints = await _unique_constraints_for_table(table_id);
+  if (constraints.length === 0) return;
+  const nameById = _names_by_id(colMap);
+  for (const u of constraints) {
+    if (touched && !u.column_ids.some(id => touched.has(nameById[id]))) continue;
+    const values = u.column_ids.map(id => cells[nameById[id]] ?? null);
+    if (values.some(v => v === null || v === '')) continue;
+    const rows = await exec(`
+      SELECT cc.row_id
+      FROM current_cells cc
+      JOIN current_rows r ON r.table_id = cc.table_id AND r.row_id = cc.row_id
+      WHERE cc.table_id = ? AND cc.row_id != ? AND r.is_deleted = 0
+        AND (${u.column_ids.map(() => '(cc.column_id = ? AND cc.value = ?)').join(' OR ')})
+      GROUP BY cc.row_id
+      HAVING COUNT(*) = ?
+      LIMIT 1
+    `, [table_id, excluding_row_id, ...u.column_ids.flatMap((id, i) => [id, values[i]]), u.column_ids.length]);
+    if (rows.length > 0) {
+      throw new Error(
+        `Another row already has ${values.map(v => `"${v}"`).join(' / ')} in ${_constraint_label(u.column_ids, nameById)} (unique constraint)`
+      );
+    }
+  }
+}
+
+// The column set as sorted ids, checked against the table's live columns
+async function _constraint_columns(table_id, column_ids) {
+  const ids = [...new Set((column_ids ?? []).map(Number))].sort((a, b) => a - b);
+  if (ids.length < 2) throw new Error('Pick at least two columns; use the Unique checkbox for a single column');
+  const nameById = _names_by_id(await _col_map_for_table(table_id));
+  if (ids.some(id => nameById[id] === undefined)) throw new Error('Column not found');
+  return { ids, nameById };
+}
+
+async function get_unique_constraints({ table_id }) {
+  const nameById = _names_by_id(await _col_map_for_table(table_id));
+  return (await _unique_constraints_for_table(table_id)).map(u => ({
+    ...u, column_names: u.column_ids.map(id => nameById[id] ?? null),
+  }));
+}
+
+// Groups of live rows that already repeat a combination and would block
+// the constraint from being added
+async function preview_unique_constraint({ table_id, column_ids }) {
+  const { ids, nameById } = await _constraint_columns(table_id, column_ids);
+  const rows = await get_rows({ table_id });
+  const groups = _duplicate_groups(rows, ids.map(id => nameById[id]));
+  const labels = await _row_labels(table_id, groups.flatMap(g => g.row_ids));
+  return {
+    rows: rows.length,
+    groups: groups.map(g => ({
+      values: g.values,
+      rows: g.row_ids.map(row_id => ({ row_id, row_label: labels[row_id] ?? null })),
+    })),
+  };
+}
+
+async function create_unique_constraint({ table_id, column_ids }) {
+  const { ids, nameById } = await _constraint_columns(table_id, column_ids);
+  const json = JSON.stringify(ids);
+  const label = _constraint_label(ids, nameById);
+  const [existing] = await exec(
+    `SELECT id, deleted_at FROM unique_constraints WHERE table_id = ? AND column_ids = ? ORDER BY deleted_at IS NULL DESC, id DESC`,
+    [table_id, json]
+  );
+  if (existing && existing.deleted_at === null) throw new Error(`${label} are already unique together`);
+
+  const groups = _duplicate_groups(await get_rows({ table_id }), ids.map(id => nameById[id]));
+  if (groups.length > 0) {
+    const shown = groups.slice(0, 3)
+      .map(g => `${g.values.map(v => `"${v}"`).join(' / ')} (${g.row_ids.length} rows)`).join(', ');
+    throw new Error(
+      `Cannot make ${label} unique together: ${groups.length} combination(s) already appear more than once — ` +
+      `${shown}${groups.length > 3 ? ', …' : ''}`
+    );
+  }
+
+  let id;
+  if (existing) {
+    id = existing.id;
+    await exec(`UPDATE unique_constraints SET deleted_at = NULL WHERE id = ?`, [id]);
+  } else {
+    id = await run(`INSERT INTO unique_constraints (table_id, column_ids) VALUES (?, ?)`, [table_id, json]);
+  }
+  await _record_schema_event(table_id, null, 'unique_constraint_created', null, json);
+  _push_undo(`unique constraint on ${label}`, table_id,
+    [['delete_unique_constraint', { id }]],
+    [['create_unique_constraint', { table_id, column_ids: ids }]]);
+  return { id, column_ids: ids };
+}
+
+async function delete_unique_constraint({ id }) {
+  const [u] = await exec(
+    `SELECT table_id, column_ids FROM unique_constraints WHERE id = ? AND deleted_at IS NULL`, [id]
+  );
+  if (!u) throw new Error('Unique constraint not found');
+  await _drop_unique_constraint(id, u.table_id, u.column_ids);
+  const column_ids = JSON.parse(u.column_ids);
+  const nameById = _names_by_id(await _col_map_for_table(u.table_id));
+  _push_undo(`removal of unique constraint on ${_constraint_label(column_ids, nameById)}`, u.table_id,
+    [['create_unique_constraint', { table_id: u.table_id, column_ids }]],
+    [['delete_unique_constraint', { id }]]);
+  return null;
+}
+
+async function _drop_unique_constraint(id, table_id, json) {
+  await exec(
+    `UPDATE unique_constraints SET deleted_at = strftime('%Y-%m-%dT%H:%M:%f', 'now') WHERE id = ? AND deleted_at IS NULL`,
+    [id]
+  );
+  await _record_schema_event(table_id, null, 'unique_constraint_deleted', json, null);
+}
+
+// ---------------------------------------------------------------------------
+// Export — reconstructed current state, ready for serialization in the UI
+// ---------------------------------------------------------------------------
+async function export_table({ table_id, resolve_fk = false, include_deleted = false }) {
+  const [tbl] = await exec(`SELECT name FROM tables WHERE id = ? AND deleted_at IS NULL`, [table_id]);
+  if (!tbl) throw new Error('Table not found');
+  const cols = await get_columns({ table_id });
+  const rows = (await get_rows({ table_id })).map(r => ({ row_id: r.row_id, cells: r.cells, deleted_at: null }));
+  if (include_deleted) {
+    for (const r of await get_deleted_rows({ table_id })) rows.push(r);
+  }
+
+  if (resolve_fk) {
+    const fkMap = await _get_fk_map_for_table(table_id);
+    for (const col of cols) {
+      if (fkMap[col.id] === undefined) continue;
+      const labels = {};
+      for (const o of await get_fk_options({ column_id: col.id })) labels[o.row_id] = o.label ?? o.row_id;
+      for (const r of rows) {
+        const v = r.cells[col.name];
+        if (v) r.cells[col.name] = labels[v] ?? v;
+      }
+    }
+  }
+
+  return {
+    table: tbl.name,
+    columns: cols.map(c => ({ name: c.name, col_type: c.col_type })),
+    rows,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Backup / restore
+// A backup is every data table with all its rows. It also carries each
+// table's CREATE statement, which restoring never runs: the tables are
+// created from this app's own schema and only the columns they have are
+// filled in, so backups taken by older versions come up to date.
+// ---------------------------------------------------------------------------
+const BACKUP_FORMAT  = 'logpad-backup';
+const BACKUP_VERSION = 1;
+// Restored in this order, registries first so references resolve
+const BACKUP_TABLES = [
+  'tables', 'columns', 'foreign_keys', 'cell_history', 'schema_history', 'views', 'unique_constraints',
+];
+// Derived from the log and rebuilt or retaken after a restore
+const DERIVED_TABLES = ['current_rows', 'current_cells', 'row_snapshots', 'snapshot_rows', 'snapshot_cells'];
+
+async function export_backup() {
+  const tbls = await exec(
+    `SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`
+  );
+  const data = {};
+  for (const t of tbls) {
+    // Settings are per device (sync identity and cursors) and stay behind;
+    // the projection and snapshots come from the log
+    if (DERIVED_TABLES.includes(t.name) || t.name === 'settings') continue;
+    data[t.name] = { sql: t.sql, rows: await exec(`SELECT * FROM "${t.name}" ORDER BY rowid`) };
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    tables: data,
+  };
+}
+
+function _validate_backup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a logpad backup file');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of logpad');
+  }
+  const tbls = backup.tables;
+  if (!tbls || typeof tbls !== 'object') throw new Error('Backup contains no tables');
+  for (const required of ['tables', 'columns', 'cell_history']) {
+    if (!tbls[required]) throw new Error(`Backup is missing the "${required}" table`);
+  }
+  for (const [name, t] of Object.entries(tbls)) {
+    // Settings and derived tables are skipped, as older exports may have them
+    if (!BACKUP_TABLES.includes(name) && name !== 'settings' && !DERIVED_TABLES.includes(name)) {
+      throw new Error(`Unknown table "${name}" in backup`);
+    }
+    if (!t || !Array.isArray(t.rows)) throw new Error(`Backup table "${name}" has no rows array`);
+  }
+}
+
+// Inserts the values of the columns the table has here; anything else in
+// the backup rows is ignored
+async function _insert_backup_rows(name, rows) {
+  const known = new Set((await exec(`SELECT name FROM pragma_table_info(?)`, [name])).map(c => c.name));
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') throw new Error(`Backup table "${name}" has a malformed row`);
+    const keys = Object.keys(row).filter(k => known.has(k));
+    if (keys.length === 0) continue;
+    await exec(
+      `INSERT INTO ${name} (${keys.map(k => `"${k}"`).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`,
+      keys.map(k => row[k])
+    );
+  }
+}
+
+async function restore_backup({ backup, mode = 'replace' }) {
+  _validate_backup(backup);
+  if (mode === 'merge') return _merge_backup_as_new_tables(backup);
+  if (mode === 'events') return _merge_event_logs(backup);
+  if (mode !== 'replace') throw new Error(`Unknown restore mode: ${mode}`);
+
+  await _begin();
+  try {
+    const current = await exec(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`
+    );
+    for (const t of current) {
+      if (t.name !== 'settings') await exec(`DROP TABLE "${t.name}"`);
+    }
+    // An empty database in the current schema, then the backup's rows
+    await init_db();
+    for (const name of BACKUP_TABLES) {
+      if (backup.tables[name]) await _insert_backup_rows(name, backup.tables[name].rows);
+    }
+    // Fill in what older versions did not record
+    for (const table of ['cell_history', 'schema_history']) {
+      await exec(`UPDATE ${table} SET author = 'unknown' WHERE author IS NULL`);
+    }
+    await _ensure_uids();
+    await _rebuild_projection();
+    // The backup may come from another device or an earlier sync server, so
+    // every event is pushed again (the server drops ones it already has) and
+    // everything is pulled again (events this database already has are skipped)
+    for (const table of ['cell_history', 'schema_history']) {
+      await exec(`UPDATE ${table} SET sync_seq = NULL WHERE sync_seq IS NOT NULL`);
+    }
+    await _set_setting('sync_pull_cursor', null);
+    await _commit();
+    _fullReload = true;
+  } catch (e) {
+    await _rollback();
+    throw new Error(`Restore failed, nothing was changed: ${e.message}`);
+  }
+  // Undo entries point at rows that may no longer exist
+  _clear_undo();
+  const [{ cnt }] = await exec(`SELECT COUNT(*) AS cnt FROM tables WHERE deleted_at IS NULL`);
+  return { mode, tables: cnt };
+}
+
+// Merge mode: every live table in the backup is added next to the existing
+// ones (renamed on a name clash) with its columns, relationships and full
+// cell and schema history. Nothing already in this database is touched.
+async function _merge_backup_as_new_tables(backup) {
+  const b = backup.tables;
+  const srcTables = b.tables.rows.filter(t => !t.deleted_at);
+  const tableIdMap = {};
+  const colIdMap = {};
+  const renamed = [];
+
+  await _begin();
+  try {
+    for (const t of srcTables) {
+      let name = t.name;
+      for (let n = 1; (await exec(`SELECT id FROM tables WHERE name = ?`, [name])).length > 0; n++) {
+        name = n === 1 ? `${t.name} (restored)` : `${t.name} (restored ${n})`;
+      }
+      tableIdMap[t.id] = await run(
+        `INSERT INTO tables (name, created_at) VALUES (?, ?)`, [name, t.created_at]
+      );
+      if (name !== t.name) renamed.push([tableIdMap[t.id], t.name, name]);
+    }
+    for (const c of b.columns.rows) {
+      const table_id = tableIdMap[c.table_id];
+      if (table_id === undefined) continue;
+      colIdMap[c.id] = await run(
+        `INSERT INTO columns (table_id, name, display_order, is_unique, col_type, col_choices,
+                              is_required, default_value, rules, created_at, deleted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [table_id, c.name, c.display_order ?? 0, c.is_unique ?? 0, c.col_type ?? 'text',
+         c.col_choices ?? null, c.is_required ?? 0, c.default_value ?? null, c.rules ?? null,
+         c.created_at, c.deleted_at ?? null]
+      );
+    }
+    for (const fk of b.foreign_keys?.rows ?? []) {
+      const from = colIdMap[fk.from_column_id];
+      const to = tableIdMap[fk.to_table_id];
+      if (from === undefined || to === undefined) continue;
+      await exec(
+        `INSERT INTO foreign_keys (from_column_id, to_table_id, created_at, deleted_at) VALUES (?, ?, ?, ?)`,
+        [from, to, fk.created_at, fk.deleted_at ?? null]
+      );
+    }
+    const remapColSet = (json) => {
+      const ids = JSON.parse(json).map(id => colIdMap[id]);
+      return ids.includes(undefined) ? null : JSON.stringify(ids.sort((x, y) => x - y));
+    };
+    for (const u of b.unique_constraints?.rows ?? []) {
+      const table_id = tableIdMap[u.table_id];
+      const column_ids = remapColSet(u.column_ids);
+      if (table_id === undefined || column_ids === null) continue;
+      await exec(
+        `INSERT INTO unique_constraints (table_id, column_ids, created_at, deleted_at) VALUES (?, ?, ?, ?)`,
+        [table_id, column_ids, u.created_at, u.deleted_at ?? null]
+      );
+    }
+    for (const e of b.cell_history.rows) {
+      const table_id = tableIdMap[e.table_id];
+      if (table_id === undefined) continue;
+      await exec(
+        `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, timestamp, author) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [table_id, e.row_id, e.column_id == null ? null : (colIdMap[e.column_id] ?? null), e.sentinel, e.value, e.timestamp,
+         e.author ?? 'unknown']
+      );
+    }
+    for (const e of b.schema_history?.rows ?? []) {
+      const table_id = tableIdMap[e.table_id];
+      if (table_id === undefined) continue;
+      const remapTable = e.action === 'fk_created' || e.action === 'fk_deleted';
+      const remapCols = e.action === 'unique_constraint_created' || e.action === 'unique_constraint_deleted';
+      const remap = (v) => v == null ? v
+        : remapTable ? String(tableIdMap[v] ?? v)
+        : remapCols ? remapColSet(v) ?? v
+        : v;
+      await exec(
+        `INSERT INTO schema_history (table_id, column_id, action, old_value, new_value, timestamp, author) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [table_id, e.column_id == null ? null : (colIdMap[e.column_id] ?? null), e.action,
+         remap(e.old_value), remap(e.new_value), e.timestamp, e.author ?? 'unknown']
+      );
+    }
+    for (const [id, from, to] of renamed) {
+      await _record_schema_event(id, null, 'table_renamed', from, to);
+    }
+    await _commit();
+  } catch (e) {
+    await _rollback();
+    throw new Error(`Restore failed, nothing was changed: ${e.message}`);
+  }
+  return { mode: 'merge', tables: srcTables.length };
+}
+
+// Events mode: combine another database's log with ours. Tables and columns
+// are matched by name (missing ones are created), incoming events that are
+// not already here are appended; last-write-wins goes by timestamp, so
+// appended events only win where they are the later write.
+// A conflict is a cell both sides changed after their last shared event and
+// ended up with different values; the later write wins and the other value
+// is reported so the user can pick it instead.
+async function _merge_event_logs(backup) {
+  const b = backup.tables;
+  const tableIdMap = {};
+  const colIdMap = {};
+  const createdCols = new Set();
+  const summary = { tables_created: 0, columns_created: 0, events_added: 0, events_present: 0, events_skipped: 0 };
+  const conflictCells = new Map();
+
+  await _begin();
+  try {
+    for (const t of b.tables.rows.filter(t => !t.deleted_at)) {
+      const [local] = await exec(`SELECT id FROM tables WHERE name = ? AND deleted_at IS NULL`, [t.name]);
+      if (local) {
+        tableIdMap[t.id] = local.id;
+      } else {
+        tableIdMap[t.id] = (await create_table({ name: t.name })).id;
+        summary.tables_created++;
+      }
+    }
+    const srcCols = b.columns.rows
+      .filter(c => !c.deleted_at && tableIdMap[c.table_id] !== undefined)
+      .sort((x, y) => (x.display_order ?? 0) - (y.display_order ?? 0));
+    for (const c of srcCols) {
+      const table_id = tableIdMap[c.table_id];
+      const colMap = await _col_map_for_table(table_id);
+      if (colMap[c.name]) {
+        colIdMap[c.id] = colMap[c.name].id;
+      } else {
+        const col_type = VALID_COL_TYPES.includes(c.col_type) ? c.col_type : 'text';
+        colIdMap[c.id] = (await create_column({ table_id, name: c.name, col_type, col_choices: c.col_choices ?? null })).id;
+        createdCols.add(colIdMap[c.id]);
+        summary.columns_created++;
+      }
+    }
+    // Relationships only for columns this merge created; existing columns keep their schema
+    for (const fk of (b.foreign_keys?.rows ?? []).filter(fk => !fk.deleted_at)) {
+      const from = colIdMap[fk.from_column_id];
+      const to = tableIdMap[fk.to_table_id];
+      if (from === undefined || to === undefined || !createdCols.has(from)) continue;
+      await create_foreign_key({ from_column_id: from, to_table_id: to });
+    }
+    for (const u of (b.unique_constraints?.rows ?? []).filter(u => !u.deleted_at)) {
+      const table_id = tableIdMap[u.table_id];
+      const column_ids = JSON.parse(u.column_ids).map(id => colIdMap[id]);
+      if (table_id === undefined || !column_ids.every(id => createdCols.has(id))) continue;
+      await create_unique_constraint({ table_id, column_ids });
+    }
+
+    // Group incoming cell events per cell so each can be compared with ours
+    const incoming = new Map();
+    const writeOrder = (x, y) => x.timestamp < y.timestamp ? -1 : x.timestamp > y.timestamp ? 1 : x.id - y.id;
+    for (const e of [...b.cell_history.rows].sort(writeOrder)) {
+      const table_id = tableIdMap[e.table_id];
+      const column_id = e.column_id == null ? null : colIdMap[e.column_id];
+      if (table_id === undefined || column_id === undefined) { summary.events_skipped++; continue; }
+      const key = `${table_id}\u0000${e.row_id}\u0000${column_id ?? e.sentinel}`;
+      if (!incoming.has(key)) incoming.set(key, { table_id, row_id: e.row_id, column_id, events: [] });
+      incoming.get(key).events.push({ sentinel: e.sentinel, value: e.value, timestamp: e.timestamp, author: e.author ?? 'unknown' });
+    }
+
+    const eventKey = (e) => `${e.timestamp}\u0000${e.value}`;
+    for (const cell of incoming.values()) {
+      const local = cell.column_id === null
+        ? await exec(
+            `SELECT value, timestamp, author FROM cell_history WHERE table_id = ? AND row_id = ? AND sentinel = ? ORDER BY timestamp, id`,
+            [cell.table_id, cell.row_id, cell.events[0].sentinel])
+        : await exec(
+            `SELECT value, timestamp, author FROM cell_history WHERE table_id = ? AND row_id = ? AND column_id = ? AND sentinel IS NULL ORDER BY timestamp, id`,
+            [cell.table_id, cell.row_id, cell.column_id]);
+      const localKeys = new Set(local.map(eventKey));
+      const fresh = cell.events.filter(e => !localKeys.has(eventKey(e)));
+      summary.events_present += cell.events.length - fresh.length;
+      for (const e of fresh) {
+        await exec(
+          `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, timestamp, author) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [cell.table_id, cell.row_id, cell.column_id, e.sentinel, e.value, e.timestamp, e.author]
+        );
+      }
+      summary.events_added += fresh.length;
+      if (cell.column_id === null || fresh.length === 0 || local.length === 0) continue;
+
+      // Last event both logs share; everything after it is a divergent edit
+      const incomingKeys = new Set(cell.events.map(eventKey));
+      let sharedAt = -1;
+      for (let i = local.length - 1; i >= 0; i--) {
+        if (incomingKeys.has(eventKey(local[i]))) { sharedAt = i; break; }
+      }
+      if (sharedAt === local.length - 1) continue;
+      const ours = local[local.length - 1];
+      const theirs = cell.events[cell.events.length - 1];
+      if ((ours.value ?? '') === (theirs.value ?? '')) continue;
+      conflictCells.set(`${cell.table_id}\u0000${cell.row_id}\u0000${cell.column_id}`, {
+        table_id: cell.table_id,
+        row_id: cell.row_id,
+        column_id: cell.column_id,
+        local_value: ours.value,
+        local_timestamp: ours.timestamp,
+        local_author: ours.author,
+        incoming_value: theirs.value,
+        incoming_timestamp: theirs.timestamp,
+        incoming_author: theirs.author,
+      });
+    }
+
+    await _commit();
+  } catch (e) {
+    await _rollback();
+    throw new Error(`Merge failed, nothing was changed: ${e.message}`);
+  }
+  // Recorded undo steps would silently overwrite merged values
+  _clear_undo();
+
+  const names = {};
+  for (const c of await exec(
+    `SELECT c.id, c.name, t.name AS table_name FROM columns c JOIN tables t ON t.id = c.table_id`
+  )) names[c.id] = c;
+  const conflicts = [...conflictCells.values()].map(c => ({
+    ...c,
+    table_name: names[c.column_id]?.table_name,
+    column_name: names[c.column_id]?.name,
+    kept: c.incoming_timestamp >= c.local_timestamp ? 'incoming' : 'local',
+  }));
+  return { mode: 'events', ...summary, conflicts };
+}
+
+// ---------------------------------------------------------------------------
+// Schema history
+// ---------------------------------------------------------------------------
+function _describe_rules(json) {
+  const rules = JSON.parse(json);
+  return [
+    rules.min !== undefined ? `min ${rules.min}` : null,
+    rules.max !== undefined ? `max ${rules.max}` : null,
+    rules.pattern !== undefined ? `pattern /${rules.pattern}/` : null,
+  ].filter(Boolean).join(', ');
+}
+
+async function get_schema_history({ table_id }) {
+  const raw = await exec(`
+    SELECT sh.id, sh.table_id, sh.column_id, c.name AS column_name,
+           sh.action, sh.old_value, sh.new_value, sh.timestamp, sh.author
+    FROM schema_history sh
+    LEFT JOIN columns c ON c.id = sh.column_id
+    WHERE sh.table_id = ?
+    ORDER BY sh.timestamp ASC, sh.id ASC
+  `, [table_id]);
+  const tableNames = {};
+  for (const t of await exec(`SELECT id, name FROM tables`)) tableNames[t.id] = t.name;
+  const tableName = (id) => tableNames[id] ?? '(unknown table)';
+  const currentColNames = {};
+  for (const c of await exec(`SELECT id, name FROM columns WHERE table_id = ?`, [table_id])) currentColNames[c.id] = c.name;
+  const colSet = (json) => _constraint_label(JSON.parse(json), { ...currentColNames, ...colNames });
+  // Replay renames so each entry shows the column name it had at the time
+  const colNames = {};
+  return raw.map(entry => {
+    if (entry.action === 'column_created' || entry.action === 'column_renamed') {
+      colNames[entry.column_id] = entry.new_value;
+    }
+    const col = `"${colNames[entry.column_id] ?? entry.column_name ?? '(unknown column)'}"`;
+    const { old_value: from, new_value: to } = entry;
+    let description;
+    switch (entry.action) {
+      case 'table_created':  description = `Table created as "${to}"`; break;
+      case 'table_renamed':  description = `Table renamed "${from}" \u2192 "${to}"`; break;
+      case 'table_deleted':  description = 'Table deleted'; break;
+      case 'column_created': description = `Column "${to}" added`; break;
+      case 'column_renamed': description = `Column "${from}" renamed to "${to}"`; break;
+      case 'column_deleted': description = `Column "${from}" removed`; break;
+      case 'column_type_changed':
+        description = `${col} type ${from} \u2192 ${to}`; break;
+      case 'column_choices_changed':
+        description = to ? `${col} choices \u2192 ${to}` : `${col} choices cleared`; break;
+      case 'column_unique_changed':
+        description = `${col} unique constraint ${to === '1' ? 'enabled' : 'disabled'}`; break;
+      case 'column_required_changed':
+        description = `${col} ${to === '1' ? 'made required' : 'no longer required'}`; break;
+      case 'column_default_changed':
+        description = to !== null ? `${col} default \u2192 "${to}"` : `${col} default removed`; break;
+      case 'column_rules_changed':
+        description = to ? `${col} rules \u2192 ${_describe_rules(to)}` : `${col} rules removed`; break;
+      case 'fk_created':
+        description = `${col} now references "${tableName(to)}"`; break;
+      case 'fk_deleted':
+        description = `${col} no longer references "${tableName(from)}"`; break;
+      case 'unique_constraint_created':
+        description = `${colSet(to)} made unique together`; break;
+      case 'unique_constraint_deleted':
+        description = `${colSet(from)} no longer unique together`; break;
+      default:
+        description = entry.action;
+    }
+    return { ...entry, description };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Saved views — named sort / filter / column layouts per table. They are
+// presentation settings, so they live beside the data rather than in the
+// event log: not undoable and not synced.
+// ---------------------------------------------------------------------------
+function _normalize_view_config(config) {
+  if (!config || typeof config !== 'object') throw new Error('View settings are missing');
+  const ids = (v) => (Array.isArray(v) ? v.map(Number).filter(Number.isInteger) : []);
+  const sort = (Array.isArray(config.sort) ? config.sort : [])
+    .filter(k => k && Number.isInteger(Number(k.column_id)))
+    .map(k => ({ column_id: Number(k.column_id), dir: k.dir === 'desc' ? 'desc' : 'asc' }));
+  const filter = config.filter ?? null;
+  if (filter !== null && (typeof filter !== 'object' || !Array.isArray(filter.groups))) {
+    throw new Error('View filter is malformed');
+  }
+  const widths = {};
+  for (const [id, px] of Object.entries(config.widths ?? {})) {
+    const n = Math.round(Number(px));
+    if (Number.isInteger(Number(id)) && n > 0) widths[id] = n;
+  }
+  return { sort, filter, hidden: ids(config.hidden), order: ids(config.order), widths };
+}
+
+function _view_from_row(v) {
+  return { id: v.id, table_id: v.table_id, name: v.name, is_default: !!v.is_default, config: JSON.parse(v.config) };
+}
+
+async function get_views({ table_id }) {
+  const views = await exec(
+    `SELECT id, table_id, name, config, is_default FROM views WHERE table_id = ? ORDER BY name COLLATE NOCASE, id`,
+    [table_id]
+  );
+  return views.map(_view_from_row);
+}
+
+// Creates a view when no id is given, otherwise renames it and, when config
+// is passed, overwrites its settings
+async function save_view({ table_id, id = null, name, config }) {
+  name = (name ?? '').trim();
+  if (!name) throw new Error('View name cannot be empty');
+  const [tbl] = await exec(`SELECT id FROM tables WHERE id = ? AND deleted_at IS NULL`, [table_id]);
+  if (!tbl) throw new Error('Table not found');
+  const [conflict] = await exec(
+    `SELECT id FROM views WHERE table_id = ? AND name = ? AND id IS NOT ?`, [table_id, name, id]
+  );
+  if (conflict) throw new Error(`A view named "${name}" already exists`);
+  if (id === null) {
+    const json = JSON.stringify(_normalize_view_config(config));
+    id = await run(`INSERT INTO views (table_id, name, config) VALUES (?, ?, ?)`, [table_id, name, json]);
+  } else {
+    const [view] = await exec(`SELECT id FROM views WHERE id = ? AND table_id = ?`, [id, table_id]);
+    if (!view) throw new Error('View not found');
+    const json = config === undefined ? null : JSON.stringify(_normalize_view_config(config));
+    await exec(`
+      UPDATE views SET name = ?, config = COALESCE(?, config),
+                       updated_at = strftime('%Y-%m-%dT%H:%M:%f', 'now')
+      WHERE id = ?
+    `, [name, json, id]);
+  }
+  const [saved] = await exec(`SELECT id, table_id, name, config, is_default FROM views WHERE id = ?`, [id]);
+  return _view_from_row(saved);
+}
+
+async function delete_view({ id }) {
+  const [view] = await exec(`SELECT id FROM views WHERE id = ?`, [id]);
+  if (!view) throw new Error('View not found');
+  await exec(`DELETE FROM views WHERE id = ?`, [id]);
+  return null;
+}
+
+// At most one default per table; id null leaves the table without one
+async function set_default_view({ table_id, id = null }) {
+  if (id !== null) {
+    const [view] = await exec(`SELECT id FROM views WHERE id = ? AND table_id = ?`, [id, table_id]);
+    if (!view) throw new Error('View not found');
+  }
+  await exec(`UPDATE views SET is_default = (id IS ?) WHERE table_id = ?`, [id, table_id]);
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Undo / redo
+// Kept in memory per worker, i.e. per tab. Each entry stores the handler
+// calls that revert and reapply an action; replaying them appends new
+// compensating events, so undo never removes anything from the log.
+// ---------------------------------------------------------------------------
+const UNDO_LIMIT = 100;
+const _undoStack = [];
+const _redoStack = [];
+let _replaying = false;
+// Entries recorded inside a transaction wait for it to commit, so a write
+// that is rolled back leaves nothing behind to undo
+const _pendingUndo = [];
+
+function _push_undo(label, table_id, undoCalls, redoCalls) {
+  if (_replaying) return;
+  const entry = { label, table_id, undo: undoCalls, redo: redoCalls };
+  if (_txUndoMarks.length > 0) {
+    _pendingUndo.push(entry);
+    return;
+  }
+  _undoStack.push(entry);
+  if (_undoStack.length > UNDO_LIMIT) _undoStack.shift();
+  _redoStack.length = 0;
+}
+
+function _flush_pending_undo() {
+  if (_pendingUndo.length === 0) return;
+  _undoStack.push(..._pendingUndo.splice(0));
+  if (_undoStack.length > UNDO_LIMIT) _undoStack.splice(0, _undoStack.length - UNDO_LIMIT);
+  _redoStack.length = 0;
+}
+
+function _clear_undo() {
+  _undoStack.length = 0;
+  _redoStack.length = 0;
+  _pendingUndo.length = 0;
+}
+
+async function _replay(calls) {
+  _replaying = true;
+  try {
+    for (const [type, payload] of calls) await handlers[type](payload);
+  } finally {
+    _replaying = false;
+  }
+}
+
+function _entry_row_id(entry) {
+  return entry.undo[0][1].row_id ?? null;
+}
+
+async function undo() {
+  const entry = _undoStack.pop();
+  if (!entry) throw new Error('Nothing to undo');
+  try {
+    await _replay(entry.undo);
+  } catch (e) {
+    // The write rolled back, so the step is still there to undo
+    _undoStack.push(entry);
+    throw new Error(`Cannot undo ${entry.label}: ${e.message}`);
+  }
+  _redoStack.push(entry);
+  return { label: entry.label, table_id: entry.table_id, row_id: _entry_row_id(entry) };
+}
+
+async function redo() {
+  const entry = _redoStack.pop();
+  if (!entry) throw new Error('Nothing to redo');
+  try {
+    await _replay(entry.redo);
+  } catch (e) {
+    _redoStack.push(entry);
+    throw new Error(`Cannot redo ${entry.label}: ${e.message}`);
+  }
+  _undoStack.push(entry);
+  return { label: entry.label, table_id: entry.table_id, row_id: _entry_row_id(entry) };
+}
+
+// ---------------------------------------------------------------------------
+// Profile — the local identity written as the author of new events
+// ---------------------------------------------------------------------------
+function _initials_for(name) {
+  return name.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('');
+}
+
+async function get_profile() {
+  const name = await _get_setting('profile_name');
+  return { name, initials: await _get_setting('profile_initials', name ? _initials_for(name) : null) };
+}
+
+async function set_profile({ name, initials = '' }) {
+  name = (name ?? '').trim();
+  initials = (initials ?? '').trim().toUpperCase();
+  if (!name) throw new Error('Name cannot be empty');
+  if (name.toLowerCase() === 'unknown') throw new Error('"unknown" is reserved for events without an author');
+  if (initials.length > 3) throw new Error('Initials can be at most 3 characters');
+  await _set_setting('profile_name', name);
+  await _set_setting('profile_initials', initials || _initials_for(name));
+  return get_profile();
+}
+
+// ---------------------------------------------------------------------------
+// Sync
+// Optional. Local events not yet on the server (sync_seq IS NULL) are pushed
+// to <url>/events; events from other devices are pulled after the stored
+// cursor and appended here with the server's sequence number. Tables and
+// columns travel by uid, so each device keeps its own integer ids.
+// ---------------------------------------------------------------------------
+const SYNC_BATCH = 500;
+const SYNC_INTERVAL_MS = 15000;
+const _syncState = { running: false, last_sync_at: null, last_error: null };
+let _syncTimer = null;
+
+// Made once at startup, so reading it (as the status poll does) never writes
+async function _ensure_sync_device_id() {
+  if (!(await _get_setting('sync_device_id'))) await _set_setting('sync_device_id', crypto.randomUUID());
+}
+
+async function _sync_device_id() {
+  return _get_setting('sync_device_id');
+}
+
+async function get_sync_status() {
+  const [{ cells }]   = await exec(`SELECT COUNT(*) AS cells FROM cell_history WHERE sync_seq IS NULL`);
+  const [{ schema }]  = await exec(`SELECT COUNT(*) AS schema FROM schema_history WHERE sync_seq IS NULL`);
+  return {
+    url: await _get_setting('sync_url'),
+    device_id: await _sync_device_id(),
+    pull_cursor: Number(await _get_setting('sync_pull_cursor', 0)),
+    pending: cells + schema,
+    running: _syncState.running,
+    last_sync_at: _syncState.last_sync_at,
+    last_error: _syncState.last_error,
+  };
+}
+
+async function configure_sync({ url }) {
+  url = (url ?? '').trim().replace(/\/+$/, '');
+  if (url && !/^(https?):\/\/[^\s]+$/i.test(url)) {
+    throw new Error('Sync URL must start with http:// or https://');
+  }
+  const current = await _get_setting('sync_url');
+  if (url !== (current ?? '')) {
+    // A different server has none of our events and its own sequence numbers
+    await _begin();
+    try {
+      await exec(`UPDATE cell_history SET sync_seq = NULL WHERE sync_seq IS NOT NULL`);
+      await exec(`UPDATE schema_history SET sync_seq = NULL WHERE sync_seq IS NOT NULL`);
+      await _set_setting('sync_pull_cursor', null);
+      await _set_setting('sync_url', url || null);
+      await _commit();
+    } catch (e) {
+      await _rollback();
+      throw e;
+    }
+    _syncState.last_error = null;
+    _syncState.last_sync_at = null;
+  }
+  _schedule_sync(0);
+  return get_sync_status();
+}
+
+function _schedule_sync(delay = SYNC_INTERVAL_MS) {
+  clearTimeout(_syncTimer);
+  _syncTimer = setTimeout(async () => {
+    try {
+      await sync_now();
+    } catch {
+      // Reported through the status message; keep retrying on schedule
+    }
+  }, delay);
+}
+
+// Runs one push + pull round. DB work goes through _exclusive so it never
+// interleaves with handler calls; the network requests happen outside it.
+async function sync_now() {
+  const url = await _exclusive(() => _get_setting('sync_url'));
+  if (!url) return { pushed: 0, pulled: 0 };
+  if (_syncState.running) return { pushed: 0, pulled: 0 };
+  _syncState.running = true;
+  let pushed = 0;
+  let pulled = 0;
+  try {
+    for (;;) {
+      const batch = await _exclusive(() => _collect_unsynced());
+      if (batch.events.length === 0) break;
+      const res = await _sync_request(`${url}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: batch.events }),
+      });
+      if (!Array.isArray(res.seqs) || res.seqs.length !== batch.events.length) {
+        throw new Error('Sync server returned an invalid response to push');
+      }
+      await _exclusive(() => _mark_pushed(batch.refs, res.seqs));
+      pushed += batch.events.length;
+    }
+    for (;;) {
+      const cursor = await _exclusive(() => _get_setting('sync_pull_cursor', 0));
+      const res = await _sync_request(`${url}/events?after=${encodeURIComponent(cursor)}&limit=${SYNC_BATCH}`);
+      if (!Array.isArray(res.events)) throw new Error('Sync server returned an invalid response to pull');
+      if (res.events.length === 0) break;
+      const { result, change } = await _exclusive(() => _with_change_feed(() => _apply_remote_events(res.events)));
+      pulled += result;
+      if (change) self.postMessage({ type: 'change', change });
+      if (!res.more) break;
+    }
+    _syncState.last_error = null;
+    _syncState.last_sync_at = new Date().toISOString();
+  } catch (e) {
+    _syncState.last_error = e.message;
+    throw new Error(`Sync failed: ${e.message}`);
+  } finally {
+    _syncState.running = false;
+    self.postMessage({ type: 'sync', pushed, pulled, status: await _exclusive(() => get_sync_status()) });
+    _schedule_sync();
+  }
+  return { pushed, pulled };
+}
+
+async function _sync_request(url, init) {
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch {
+    throw new Error('server unreachable');
+  }
+  if (!res.ok) throw new Error(`server responded ${res.status}`);
+  return res.json();
+}
+
+// Up to SYNC_BATCH unpushed events in wire form: schema changes first so a
+// receiving device knows a table or column before any cell refers to it
+async function _collect_unsynced() {
+  await _ensure_uids();
+  const device = await _sync_device_id();
+  const tableUid = {};
+  for (const t of await exec(`SELECT id, uid FROM tables`)) tableUid[t.id] = t.uid;
+  const cols = {};
+  for (const c of await exec(
+    `SELECT id, uid, col_type, col_choices, is_unique, is_required, default_value, rules FROM columns`
+  )) cols[c.id] = c;
+
+  const events = [];
+  const refs = [];
+  const schema = await exec(
+    `SELECT * FROM schema_history WHERE sync_seq IS NULL ORDER BY id LIMIT ?`, [SYNC_BATCH]
+  );
+  for (const e of schema) {
+    const isFk = e.action === 'fk_created' || e.action === 'fk_deleted';
+    const isColSet = e.action === 'unique_constraint_created' || e.action === 'unique_constraint_deleted';
+    // Values naming other tables or columns travel as their uids
+    const wire = (v) => v == null ? v
+      : isFk ? tableUid[v] ?? null
+      : isColSet ? JSON.stringify(JSON.parse(v).map(id => cols[id]?.uid ?? null))
+      : v;
+    const out = {
+      kind: 'schema', device, table: tableUid[e.table_id], column: cols[e.column_id]?.uid ?? null,
+      action: e.action, timestamp: e.timestamp, author: e.author,
+      old_value: wire(e.old_value),
+      new_value: wire(e.new_value),
+    };
+    if (e.action === 'column_created' && cols[e.column_id]) {
+      const { col_type, col_choices, is_unique, is_required, default_value, rules } = cols[e.column_id];
+      out.meta = { col_type, col_choices, is_unique, is_required, default_value, rules };
+    }
+    events.push(out);
+    refs.push(['schema_history', e.id, e.timestamp]);
+  }
+  if (events.length < SYNC_BATCH) {
+    const cells = await exec(
+      `SELECT * FROM cell_history WHERE sync_seq IS NULL ORDER BY id LIMIT ?`, [SYNC_BATCH - events.length]
+    );
+    for (const e of cells) {
+      events.push({
+        kind: 'cell', device, table: tableUid[e.table_id], column: cols[e.column_id]?.uid ?? null,
+        row_id: e.row_id, sentinel: e.sentinel, value: e.value, timestamp: e.timestamp, author: e.author,
+      });
+      refs.push(['cell_history', e.id, e.timestamp]);
+    }
+  }
+  return { events, refs };
+}
+
+async function _mark_pushed(refs, seqs) {
+  await _begin();
+  try {
+    for (let i = 0; i < refs.length; i++) {
+      const [table, id, timestamp] = refs[i];
+      await exec(
+        `UPDATE ${table} SET sync_seq = ? WHERE id = ? AND timestamp = ? AND sync_seq IS NULL`,
+        [seqs[i], id, timestamp]
+      );
+    }
+    await _commit();
+  } catch (e) {
+    await _rollback();
+    throw e;
+  }
+}
+
+// Returns how many events were new to this database
+async function _apply_remote_events(events) {
+  const device = await _sync_device_id();
+  let applied = 0;
+  await _begin();
+  try {
+    for (const e of events) {
+      if (e.device !== device) {
+        const isNew = e.kind === 'schema'
+          ? await _apply_remote_schema_event(e)
+          : await _apply_remote_cell_event(e);
+        if (isNew) applied++;
+      }
+      await _set_setting('sync_pull_cursor', e.seq);
+    }
+    await _commit();
+  } catch (e) {
+    await _rollback();
+    throw e;
+  }
+  if (applied > 0) {
+    _clear_undo();
+  }
+  return applied;
+}
+
+async function _local_id(table, uid) {
+  if (!uid) return null;
+  const [row] = await exec(`SELECT id FROM ${table} WHERE uid = ?`, [uid]);
+  return row ? row.id : null;
+}
+
+async function _apply_remote_cell_event(e) {
+  const table_id = await _local_id('tables', e.table);
+  const column_id = await _local_id('columns', e.column);
+  if (table_id === null || (e.column && column_id === null)) return false;
+  const dup = await exec(`
+    SELECT id FROM cell_history
+    WHERE table_id = ? AND row_id = ? AND column_id IS ? AND sentinel IS ? AND value IS ? AND timestamp = ?
+    LIMIT 1
+  `, [table_id, e.row_id, column_id, e.sentinel ?? null, e.value ?? null, e.timestamp]);
+  if (dup.length > 0) return false;
+  await exec(
+    `INSERT INTO cell_history (table_id, row_id, column_id, sentinel, value, timestamp, sync_seq, author) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [table_id, e.row_id, column_id, e.sentinel ?? null, e.value ?? null, e.timestamp, e.seq, e.author ?? 'unknown']
+  );
+  return true;
+}
+
+// A column set arrives as a JSON list of uids; null if any is unknown here
+async function _local_column_set(json) {
+  let uids;
+  try {
+    uids = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(uids)) return null;
+  const ids = [];
+  for (const uid of uids) {
+    const id = await _local_id('columns', uid);
+    if (id === null) return null;
+    ids.push(id);
+  }
+  return ids.sort((a, b) => a - b);
+}
+
+// Rules arrive as JSON text; anything unreadable is dropped rather than stored
+function _valid_rules_json(json) {
+  try {
+    const rules = JSON.parse(json);
+    return rules && typeof rules === 'object' ? JSON.stringify(rules) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Names must stay unique here even if another device reused one
+async function _free_name(sql, bind, name) {
+  let candidate = name;
+  for (let n = 2; (await exec(sql, [...bind, candidate])).length > 0; n++) candidate = `${name} (${n})`;
+  return candidate;
+}
+
+async function _apply_remote_schema_event(e) {
+  let table_id = await _local_id('tables', e.table);
+  let column_id = await _local_id('columns', e.column);
+  const dup = table_id === null ? [] : await exec(`
+    SELECT id FROM schema_history
+    WHERE table_id = ? AND column_id IS ? AND action = ? AND new_value IS ? AND timestamp = ?
+    LIMIT 1
+  `, [table_id, column_id, e.action, e.new_value ?? null, e.timestamp]);
+  if (dup.length > 0) return false;
+
+  const tableName = (name) => _free_name(`SELECT id FROM tables WHERE name = ?`, [], name);
+  const colName = (name) => _free_name(`SELECT id FROM columns WHERE table_id = ? AND name = ?`, [table_id], name);
+  let { old_value, new_value } = e;
+
+  if (e.action === 'table_created') {
+    if (table_id !== null) return false;
+    table_id = await run(
+      `INSERT INTO tables (name, uid, created_at) VALUES (?, ?, ?)`,
+      [await tableName(new_value), e.table, e.timestamp]
+    );
+  }
+  if (table_id === null) return false;
+  switch (e.action) {
+    case 'table_renamed':
+      await exec(`UPDATE tables SET name = ? WHERE id = ?`, [await tableName(new_value), table_id]);
+      break;
+    case 'table_deleted':
+      for (const sql of [
+        `UPDATE foreign_keys SET deleted_at = ? WHERE deleted_at IS NULL
+           AND from_column_id IN (SELECT id FROM columns WHERE table_id = ?)`,
+        `UPDATE columns SET deleted_at = ? WHERE deleted_at IS NULL AND table_id = ?`,
+        `UPDATE tables SET deleted_at = ? WHERE deleted_at IS NULL AND id = ?`,
+      ]) await exec(sql, [e.timestamp, table_id]);
+      break;
+    case 'column_created': {
+      if (column_id !== null) return false;
+      const [{ max_order }] = await exec(
+        `SELECT COALESCE(MAX(display_order), -1) AS max_order FROM columns WHERE table_id = ? AND deleted_at IS NULL`,
+        [table_id]
+      );
+      const meta = e.meta ?? {};
+      column_id = await run(
+        `INSERT INTO columns (table_id, name, display_order, is_unique, col_type, col_choices,
+                              is_required, default_value, rules, uid, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [table_id, await colName(new_value), max_order + 1, meta.is_unique ? 1 : 0,
+         VALID_COL_TYPES.includes(meta.col_type) ? meta.col_type : 'text', meta.col_choices ?? null,
+         meta.is_required ? 1 : 0, meta.default_value ?? null, _valid_rules_json(meta.rules),
+         e.column, e.timestamp]
+      );
+      break;
+    }
+    case 'column_renamed':
+      if (column_id !== null) await exec(`UPDATE columns SET name = ? WHERE id = ?`, [await colName(new_value), column_id]);
+      break;
+    case 'column_deleted':
+      if (column_id !== null) {
+        await exec(`UPDATE foreign_keys SET deleted_at = ? WHERE deleted_at IS NULL AND from_column_id = ?`, [e.timestamp, column_id]);
+        await exec(`UPDATE columns SET deleted_at = ? WHERE deleted_at IS NULL AND id = ?`, [e.timestamp, column_id]);
+      }
+      break;
+    case 'column_type_changed':
+      if (column_id !== null && VALID_COL_TYPES.includes(new_value)) {
+        await exec(`UPDATE columns SET col_type = ? WHERE id = ?`, [new_value, column_id]);
+      }
+      break;
+    case 'column_choices_changed':
+      if (column_id !== null) await exec(`UPDATE columns SET col_choices = ? WHERE id = ?`, [new_value ?? null, column_id]);
+      break;
+    case 'column_unique_changed':
+      if (column_id !== null) await exec(`UPDATE columns SET is_unique = ? WHERE id = ?`, [new_value === '1' ? 1 : 0, column_id]);
+      break;
+    case 'column_required_changed':
+      if (column_id !== null) await exec(`UPDATE columns SET is_required = ? WHERE id = ?`, [new_value === '1' ? 1 : 0, column_id]);
+      break;
+    case 'column_default_changed':
+      if (column_id !== null) await exec(`UPDATE columns SET default_value = ? WHERE id = ?`, [new_value ?? null, column_id]);
+      break;
+    case 'column_rules_changed':
+      if (column_id !== null) await exec(`UPDATE columns SET rules = ? WHERE id = ?`, [_valid_rules_json(new_value), column_id]);
+      break;
+    case 'fk_created': {
+      const to = await _local_id('tables', new_value);
+      if (column_id === null || to === null) return false;
+      const existing = await exec(
+        `SELECT id FROM foreign_keys WHERE from_column_id = ? AND deleted_at IS NULL`, [column_id]
+      );
+      if (existing.length === 0) {
+        await exec(
+          `INSERT INTO foreign_keys (from_column_id, to_table_id, created_at) VALUES (?, ?, ?)`,
+          [column_id, to, e.timestamp]
+        );
+      }
+      new_value = String(to);
+      break;
+    }
+    case 'fk_deleted': {
+      if (column_id === null) return false;
+      await exec(`UPDATE foreign_keys SET deleted_at = ? WHERE deleted_at IS NULL AND from_column_id = ?`, [e.timestamp, column_id]);
+      const from = await _local_id('tables', old_value);
+      old_value = from === null ? null : String(from);
+      break;
+    }
+    case 'unique_constraint_created':
+    case 'unique_constraint_deleted': {
+      const created = e.action === 'unique_constraint_created';
+      const ids = await _local_column_set(created ? new_value : old_value);
+      if (ids === null) return false;
+      const json = JSON.stringify(ids);
+      const [existing] = await exec(
+        `SELECT id FROM unique_constraints WHERE table_id = ? AND column_ids = ? ORDER BY id DESC LIMIT 1`, [table_id, json]
+      );
+      if (created && !existing) {
+        await exec(
+          `INSERT INTO unique_constraints (table_id, column_ids, created_at) VALUES (?, ?, ?)`, [table_id, json, e.timestamp]
+        );
+      } else if (existing) {
+        await exec(`UPDATE unique_constraints SET deleted_at = ? WHERE id = ?`, [created ? null : e.timestamp, existing.id]);
+      }
+      if (created) new_value = json; else old_value = json;
+      break;
+    }
+  }
+  await exec(
+    `INSERT INTO schema_history (table_id, column_id, action, old_value, new_value, timestamp, sync_seq, author)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [table_id, column_id, e.action, old_value ?? null, new_value ?? null, e.timestamp, e.seq, e.author ?? 'unknown']
+  );
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Change feed
+// After anything appends to the logs, other tabs are told which events and
+// rows are new so they can patch their view instead of waiting for a reload.
+// Each message carries this worker's tab id so its own page can skip it.
+// The call that made the change gets it back too, with the touched rows as
+// they are now, so the page that asked never has to reload for a data edit.
+// ---------------------------------------------------------------------------
+const CHANGE_CHANNEL = 'logpad-changes';
+const _tabId = crypto.randomUUID();
+const _changeFeed = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANGE_CHANNEL);
+let _fullReload = false;  // set when event ids were rewritten or the database replaced
+
+async function _log_heads() {
+  const [heads] = await exec(`
+    SELECT (SELECT COALESCE(MAX(id), 0) FROM cell_history)   AS cell,
+           (SELECT COALESCE(MAX(id), 0) FROM schema_history) AS schema
+  `);
+  return heads;
+}
+
+// Returns { result, change }; change is null when nothing was appended
+async function _with_change_feed(fn) {
+  const before = await _log_heads();
+  _fullReload = false;
+  const result = await fn();
+  const after = await _log_heads();
+  if (!_fullReload && after.cell === before.cell && after.schema === before.schema) {
+    return { result, change: null };
+  }
+  const full = _fullReload;
+  _fullReload = false;
+  const events = full ? [] : await exec(
+    `SELECT id, table_id, row_id FROM cell_history WHERE id > ? ORDER BY id`, [before.cell]
+  );
+  const schemaTables = full ? [] : await exec(
+    `SELECT DISTINCT table_id FROM schema_history WHERE id > ?`, [before.schema]
+  );
+  const change = { full, events, schema_table_ids: schemaTables.map(r => r.table_id) };
+  _changeFeed?.postMessage({ source: _tabId, ...change });
+  // A schema change reloads the whole table anyway
+  const reload = full || change.schema_table_ids.length > 0;
+  return { result, change: { ...change, ...(reload ? { rows: {}, options: {} } : await get_changed_rows({ events })) } };
+}
+
+// The rows named in events as they are now, and their FK option entries,
+// both keyed by table id; deleted rows are left out of both
+async function get_changed_rows({ events }) {
+  const idsByTable = {};
+  for (const e of events) (idsByTable[e.table_id] ??= new Set()).add(e.row_id);
+  const rows = {};
+  const options = {};
+  for (const [tid, ids] of Object.entries(idsByTable)) {
+    rows[tid] = await get_rows({ table_id: Number(tid), row_ids: [...ids] });
+    const labels = await _row_labels(Number(tid), rows[tid].map(r => r.row_id));
+    options[tid] = rows[tid].map(r => ({ row_id: r.row_id, label: labels[r.row_id] ?? null }));
+  }
+  return { rows, options };
+}
+
+// ---------------------------------------------------------------------------
+// Message dispatcher
+// ---------------------------------------------------------------------------
+const handlers = {
+  // Table
+  get_tables,
+  create_table,
+  rename_table,
+  delete_table,
+  // Column
+  get_columns,
+  create_column,
+  rename_column,
+  set_column_unique,
+  set_column_constraints,
+  set_column_type,
+  preview_column_type,
+  convert_column_type,
+  delete_column,
+  // Row
+  get_rows,
+  get_row_page,
+  create_row,
+  import_rows,
+  batch,
+  update_row,
+  delete_row,
+  get_deleted_rows,
+  restore_row,
+  revert_row,
+  get_row_history,
+  get_activity,
+  // FK
+  get_foreign_keys,
+  create_foreign_key,
+  delete_foreign_key,
+  get_fk_options,
+  // Change feed
+  get_changed_rows,
+  // Composite unique constraints
+  get_unique_constraints,
+  preview_unique_constraint,
+  create_unique_constraint,
+  delete_unique_constraint,
+  // Export
+  export_table,
+  // Backup / restore
+  export_backup,
+  restore_backup,
+  rebuild_current_state,
+  // Compaction
+  get_storage_report,
+  set_compaction_settings,
+  compact_log,
+  // Schema history
+  get_schema_history,
+  // Saved views
+  get_views,
+  save_view,
+  delete_view,
+  set_default_view,
+  // Undo / redo
+  undo,
+  redo,
+  // Profile
+  get_profile,
+  set_profile,
+  // Sync
+  get_sync_status,
+  configure_sync,
+  sync_now,
+};
+
+// Everything else writes, and runs as a single transaction: a handler that
+// fails part-way leaves no trace in the log or on the undo stack
+const READ_ONLY_HANDLERS = new Set([
+  'get_tables', 'get_columns', 'preview_column_type', 'get_rows', 'get_row_page', 'get_deleted_rows',
+  'get_row_history', 'get_activity', 'get_foreign_keys', 'get_fk_options', 'get_changed_rows',
+  'get_unique_constraints', 'preview_unique_constraint', 'export_table', 'export_backup',
+  'get_schema_history', 'get_views', 'get_profile', 'get_storage_report', 'get_sync_status',
+]);
+
+// Handlers run one at a time so their statements and transactions never
+// interleave; sync_now takes the lock itself around its database work
+let _lock = Promise.resolve();
+function _exclusive(fn) {
+  const result = _lock.then(fn);
+  _lock = result.catch(() => {});
+  return result;
+}
+
+// Another tab holding the OPFS access handles makes calls wait; the page is
+// told when a call has been stuck long enough to be noticeable
+const BUSY_NOTICE_MS = 750;
 
 self.onmessage = async ({ data: { id, type, payload } }) => {
+  let busy = false;
+  const busyTimer = setTimeout(() => {
+    busy = true;
+    self.postMessage({ type: 'busy', waiting: true });
+  }, BUSY_NOTICE_MS);
   try {
-    const result = await handlers[type](payload);
-    self.postMessage({ id, result });
+    const handler = handlers[type];
+    const { result, change = null } = type === 'sync_now'
+      ? { result: await handler(payload) }
+      : READ_ONLY_HANDLERS.has(type)
+      ? { result: await _exclusive(() => handler(payload)) }
+      : await _exclusive(() => _with_change_feed(() => _transaction(() => handler(payload))));
+    self.postMessage({ id, result, change });
   } catch (e) {
-    self.postMessage({ id, error: e.message });
+    const locked = e.code === SQLite.SQLITE_BUSY || /database is locked/i.test(e.message);
+    self.postMessage({
+      id,
+      error: locked ? 'The database is in use by another logpad tab. Try again in a moment.' : e.message,
+    });
+  } finally {
+    clearTimeout(busyTimer);
+    if (busy) self.postMessage({ type: 'busy', waiting: false });
   }
 };
 
@@ -815,9 +3888,15 @@ self.onmessage = async ({ data: { id, type, payload } }) => {
     sqlite3 = SQLite.Factory(module);
     const vfs = await OPFSCoopSyncVFS.create('appendonly', module);
     sqlite3.vfs_register(vfs, true);
+    const busyTimer = setTimeout(() => self.postMessage({ type: 'busy', waiting: true }), BUSY_NOTICE_MS);
     db = await sqlite3.open_v2('appendonly.db');
+    _register_sql_functions();
     await init_db();
-    self.postMessage({ type: 'ready' });
+    clearTimeout(busyTimer);
+    self.postMessage({ type: 'busy', waiting: false });
+    self.postMessage({ type: 'ready', tab_id: _tabId });
+    _schedule_sync(0);
+    _schedule_compaction(COMPACT_FIRST_DELAY_MS);
   } catch (e) {
     self.postMessage({ type: 'error', message: e.message });
   }